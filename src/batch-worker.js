@@ -0,0 +1,82 @@
+/**
+ * @module batch-worker
+ * @description Worker thread entry for `processBatch()`.
+ * Each worker loads its own OpenCV instance and processes one image at a time.
+ * Log messages and results are posted back to the pool.
+ */
+
+import { parentPort } from "worker_threads";
+import { format } from "util";
+import { WarpedImage } from "./image.js";
+import { setIOAdapter } from "./io.js";
+import { LOG_LEVELS } from "./logger.js";
+import { createOutputClaims } from "./output-path.js";
+import { loadOpenCV, nodeIO } from "./platform/node.js";
+
+// A worker runs for one batch, whose output names are settled by the pool
+const outputClaims = createOutputClaims();
+
+function createForwardingLogger(level) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const forward =
+    (messageLevel) =>
+    (...args) => {
+      if (LOG_LEVELS.indexOf(messageLevel) < threshold) return;
+      parentPort.postMessage({
+        type: "log",
+        level: messageLevel,
+        message: format(...args),
+      });
+    };
+  return {
+    debug: forward("debug"),
+    info: forward("info"),
+    warn: forward("warn"),
+    error: forward("error"),
+  };
+}
+
+async function runJob(job) {
+  const { id, input, name, config, logLevel, pdfPage, processOptions } = job;
+  // Without the name settled by the pool, outputs could clash across workers
+  if (typeof name !== "string" || name === "") {
+    throw new Error(`Batch job ${id} has no output name`);
+  }
+  const logger = createForwardingLogger(logLevel);
+  const warpedImage = new WarpedImage(input, {
+    name,
+    config,
+    logger,
+    writeOutput: !pdfPage,
+    outputClaims,
+  });
+  try {
+    const result = await warpedImage.process(processOptions);
+    if (pdfPage) result.pdfPages = await warpedImage.toPdfPages();
+    parentPort.postMessage({ type: "result", id, result });
+  } finally {
+    warpedImage.destroy();
+  }
+}
+
+setIOAdapter(nodeIO);
+await loadOpenCV();
+
+parentPort.on("message", async (job) => {
+  try {
+    await runJob(job);
+  } catch (err) {
+    parentPort.postMessage({
+      type: "error",
+      id: job.id,
+      error: {
+        name: err.name,
+        code: err.code,
+        message: err.message,
+        stack: err.stack,
+      },
+    });
+  }
+});
+
+parentPort.postMessage({ type: "ready" });
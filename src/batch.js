@@ -0,0 +1,216 @@
+/**
+ * @module batch
+ * @description Parallel batch processing on a pool of worker threads.
+ * OpenCV-wasm runs are single-threaded, so images are spread across workers,
+ * each with its own OpenCV instance and config copy.
+ */
+
+import { availableParallelism } from "os";
+import path from "path";
+import { Worker } from "worker_threads";
+import { silentLogger } from "./logger.js";
+import { uniqueOutputNames } from "./output-path.js";
+
+const WORKER_URL = new URL("./batch-worker.js", import.meta.url);
+
+function toError({ name, code, message, stack }) {
+  const err = new Error(message);
+  err.name = name;
+  if (code !== undefined) err.code = code;
+  err.stack = stack;
+  return err;
+}
+
+/**
+ * Names the output of every input: path inputs after their file, encoded
+ * images as `input_{index}`. Workers cannot see each other's output paths,
+ * so names are settled here, and an input listed twice gets a numbered name
+ * rather than two workers writing the same file.
+ * @param {Array<string | Buffer>} inputs
+ * @returns {Array<string>}
+ */
+function outputNames(inputs) {
+  const indices = [];
+  inputs.forEach((input, index) => {
+    if (typeof input === "string") indices.push(index);
+  });
+  const pathNames = uniqueOutputNames(indices.map((index) => inputs[index]));
+  const names = inputs.map((input, index) => `input_${index}`);
+  indices.forEach((inputIndex, i) => {
+    names[inputIndex] = pathNames[i];
+  });
+
+  const taken = new Set(names);
+  const used = new Set();
+  return names.map((name) => {
+    if (used.has(name)) {
+      let n = 2;
+      while (used.has(`${name}_${n}`) || taken.has(`${name}_${n}`)) n++;
+      name = `${name}_${n}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Dewarps many images in parallel, one `WarpedImage.process()` run per input.
+ *
+ * Resolves once every input is done, with one entry per input in input
+ * order: `{ input, status, result, error }`, where `status` is the result
+ * status ("ok") or "failed", `result` is the `process()` result and `error`
+ * the failure, with the `name` and `code` of the original error class. A
+ * failing image does not stop the batch.
+ *
+ * @param {Array<string | Buffer>} inputs - File paths or encoded images
+ * @param {Object} [options]
+ * @param {number} [options.jobs] - Worker count, defaults to the number of
+ *   available CPU cores
+ * @param {Object} [options.config] - Config overrides for every image
+ * @param {Object} [options.logger] - Receives worker log messages, prefixed
+ *   with the input name; silent by default
+ * @param {string} [options.logLevel] - Lowest level workers forward to the
+ *   logger, "debug" unless the logger is silent
+ * @param {number} [options.timeBudget] - Per-image budget in milliseconds
+ * @param {"abort" | "best"} [options.budgetPolicy]
+ * @param {AbortSignal} [options.signal] - Terminates all workers and rejects
+ * @param {boolean} [options.pdfPages=false] - Skip writing outputs and add
+ *   the pages as `result.pdfPages` instead (see `toPdfPages()`), for
+ *   `assemblePdf()`
+ * @param {Function} [options.onResult] - Called with each entry as it
+ *   completes
+ * @returns {Promise<Array<{ input: string | Buffer, status: string, result: Object | null, error: Error | null }>>}
+ *   Rejects for an invalid job count, an aborted signal or a worker that
+ *   cannot start
+ */
+export async function processBatch(inputs, options = {}) {
+  const {
+    jobs = availableParallelism(),
+    config = {},
+    logger = silentLogger,
+    logLevel = logger === silentLogger ? "silent" : "debug",
+    timeBudget,
+    budgetPolicy,
+    signal = null,
+    pdfPages = false,
+    onResult = null,
+  } = options;
+
+  if (signal) signal.throwIfAborted();
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Invalid job count: ${jobs}`);
+  }
+
+  const names = outputNames(inputs);
+
+  const label = (index) =>
+    typeof inputs[index] === "string"
+      ? path.basename(inputs[index])
+      : `input ${index}`;
+
+  return new Promise((resolve, reject) => {
+    const results = new Array(inputs.length);
+    const workers = new Set();
+    let next = 0;
+    let remaining = inputs.length;
+    let settled = false;
+
+    const onAbort = () => settle(reject, signal.reason);
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener("abort", onAbort);
+      for (const worker of workers) worker.terminate();
+      fn(value);
+    };
+
+    const record = (index, entry) => {
+      results[index] = { input: inputs[index], ...entry };
+      if (onResult) onResult(results[index]);
+      remaining--;
+      if (remaining === 0) settle(resolve, results);
+    };
+
+    const spawn = () => {
+      const worker = new Worker(WORKER_URL);
+      let ready = false;
+      let current = null;
+      workers.add(worker);
+
+      const dispatch = () => {
+        if (settled || next >= inputs.length) {
+          worker.terminate();
+          return;
+        }
+        current = next++;
+        worker.postMessage({
+          id: current,
+          input: inputs[current],
+          name: names[current],
+          config,
+          logLevel,
+          pdfPage: pdfPages,
+          processOptions: { timeBudget, budgetPolicy },
+        });
+      };
+
+      worker.on("message", (message) => {
+        if (message.type === "ready") {
+          ready = true;
+          dispatch();
+        } else if (message.type === "log") {
+          logger[message.level](`[${label(current)}] ${message.message}`);
+        } else if (message.type === "result") {
+          current = null;
+          record(message.id, {
+            status: message.result.status,
+            result: message.result,
+            error: null,
+          });
+          dispatch();
+        } else if (message.type === "error") {
+          current = null;
+          record(message.id, {
+            status: "failed",
+            result: null,
+            error: toError(message.error),
+          });
+          dispatch();
+        }
+      });
+
+      worker.on("error", (err) => {
+        // A worker that cannot start would fail for every image
+        if (!ready) {
+          settle(reject, err);
+        } else if (current !== null) {
+          const index = current;
+          current = null;
+          record(index, { status: "failed", result: null, error: err });
+        }
+      });
+
+      worker.on("exit", (code) => {
+        workers.delete(worker);
+        if (current !== null) {
+          const index = current;
+          current = null;
+          record(index, {
+            status: "failed",
+            result: null,
+            error: new Error(`Worker exited with code ${code}`),
+          });
+        }
+        if (!settled && ready && next < inputs.length) spawn();
+      });
+    };
+
+    if (remaining === 0) {
+      resolve(results);
+      return;
+    }
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    const size = Math.min(jobs, inputs.length);
+    for (let i = 0; i < size; i++) spawn();
+  });
+}
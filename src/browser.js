@@ -0,0 +1,15 @@
+/**
+ * @module page-dewarp-js/browser
+ * @description Browser and Web Worker entry point for bundlers.
+ * Registers the browser I/O adapter and exports the core API. Load opencv.js
+ * first and pass its `cv` module to `loadOpenCV()`. Inputs are `Blob`s,
+ * encoded bytes, `ImageData` or `cv.Mat`s; file paths are not supported.
+ */
+
+import { setIOAdapter } from "./io.js";
+import { browserIO } from "./platform/browser.js";
+
+setIOAdapter(browserIO);
+
+export * from "./core.js";
+export { browserIO, loadOpenCV } from "./platform/browser.js";
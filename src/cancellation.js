@@ -0,0 +1,47 @@
+/**
+ * @module cancellation
+ * @description Cooperative cancellation for pipeline runs.
+ * Combines an optional `AbortSignal` with an optional wall-clock budget. The
+ * pipeline calls `check()` between stages and the optimiser polls
+ * `shouldStop()` between iterations.
+ */
+
+/**
+ * Creates a guard for one pipeline run.
+ *
+ * With `budgetPolicy: "abort"` an exhausted budget throws a `TimeoutError`
+ * at the next check. With `"best"` the optimiser stops early and the run
+ * finishes with the best parameters found so far.
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.timeBudget] - Budget in milliseconds
+ * @param {"abort" | "best"} [options.budgetPolicy="abort"]
+ * @returns {{ check: Function, shouldStop: Function, expired: Function }}
+ */
+export function createRunGuard(options = {}) {
+  const { signal = null, timeBudget = null, budgetPolicy = "abort" } = options;
+  if (budgetPolicy !== "abort" && budgetPolicy !== "best") {
+    throw new Error(`Unknown budget policy: ${budgetPolicy}`);
+  }
+
+  const deadline =
+    timeBudget === null ? Infinity : performance.now() + timeBudget;
+  const expired = () => performance.now() > deadline;
+
+  return {
+    expired,
+    check() {
+      if (signal) signal.throwIfAborted();
+      if (budgetPolicy === "abort" && expired()) {
+        throw new DOMException(
+          `Time budget of ${timeBudget} ms exceeded`,
+          "TimeoutError"
+        );
+      }
+    },
+    shouldStop() {
+      return (signal !== null && signal.aborted) || expired();
+    },
+  };
+}
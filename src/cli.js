@@ -1,9 +1,59 @@
 #!/usr/bin/env node
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { Config, updateConfig } from "./config.js";
-import { loadOpenCV } from "./cv-loader.js";
+import { processBatch } from "./batch.js";
+import {
+  Config,
+  DEWARP_MODES,
+  FOCAL_LENGTH_SOURCES,
+  PAGE_DETECTIONS,
+  SPREAD_FITS,
+} from "./config.js";
 import { WarpedImage } from "./image.js";
+import { setIOAdapter } from "./io.js";
+import { createConsoleLogger, LOG_LEVELS } from "./logger.js";
+import { resolveOutputFormat } from "./output-format.js";
+import { createOutputClaims, uniqueOutputNames } from "./output-path.js";
+import { parsePageOutline } from "./page-boundary.js";
+import { assemblePdf } from "./pdf.js";
+import { loadOpenCV, nodeIO } from "./platform/node.js";
+import { watchFolder } from "./watch.js";
+
+// Exit codes: some inputs failed, or the run could not start at all
+const EXIT_INPUT_FAILED = 1;
+const EXIT_FATAL = 2;
+
+function logFailure(logger, input, err) {
+  logger.error(`Failed to process ${input}: ${err.name}: ${err.message}`);
+  logger.debug(err.stack);
+}
+
+/**
+ * Prints which inputs failed and why, and sets a non-zero exit code if any
+ * did.
+ */
+function reportFailures(failures, total, logger) {
+  logger.info(`Processed ${total - failures.length} of ${total} images`);
+  if (failures.length === 0) return;
+
+  logger.error(`Failed ${failures.length} of ${total} images:`);
+  for (const { input, error } of failures) {
+    logger.error(`  ${input}: ${error.name}: ${error.message}`);
+  }
+  process.exitCode = EXIT_INPUT_FAILED;
+}
+
+// Failed inputs leave gaps in `pages`, which are skipped
+async function writePdf(file, pages, logger) {
+  // Each input contributes its pages, two for a spread
+  const collected = pages.flat().filter(Boolean);
+  if (collected.length === 0) {
+    logger.warn(`No pages were dewarped, not writing ${file}`);
+    return;
+  }
+  await nodeIO.writeFile(file, assemblePdf(collected));
+  logger.info(`Wrote ${collected.length} pages to ${file}`);
+}
 
 async function main() {
   const argv = yargs(hideBin(process.argv))
@@ -24,6 +74,17 @@ async function main() {
       type: "boolean",
       default: Config.CONVERT_TO_PDF,
     })
+    .option("pdf-file", {
+      type: "string",
+    })
+    .option("exif-orientation", {
+      type: "boolean",
+      default: Config.EXIF_ORIENTATION,
+    })
+    .option("auto-orient", {
+      type: "boolean",
+      default: Config.AUTO_ORIENT,
+    })
     .option("max-screen-width", {
       alias: "vw",
       type: "number",
@@ -34,6 +95,24 @@ async function main() {
       type: "number",
       default: Config.SCREEN_MAX_H,
     })
+    .option("page-outline", {
+      type: "string",
+      coerce: parsePageOutline,
+    })
+    .option("page-detection", {
+      type: "string",
+      choices: PAGE_DETECTIONS,
+      default: Config.PAGE_DETECTION,
+    })
+    .option("spread", {
+      type: "boolean",
+      default: Config.SPREAD,
+    })
+    .option("spread-fit", {
+      type: "string",
+      choices: SPREAD_FITS,
+      default: Config.SPREAD_FIT,
+    })
     .option("x-margin", {
       alias: "x",
       type: "number",
@@ -89,6 +168,15 @@ async function main() {
       type: "number",
       default: Config.OPTIM_TOL,
     })
+    .option("mode", {
+      type: "string",
+      choices: DEWARP_MODES,
+      default: Config.DEWARP_MODE,
+    })
+    .option("fallback-min-spans", {
+      type: "number",
+      default: Config.FALLBACK_MIN_SPANS,
+    })
     .option("max-edge-overlap", {
       alias: "eo",
       type: "number",
@@ -112,18 +200,61 @@ async function main() {
     .option("focal-length", {
       alias: "f",
       type: "number",
-      default: Config.FOCAL_LENGTH,
+    })
+    .option("focal-length-source", {
+      type: "string",
+      choices: FOCAL_LENGTH_SOURCES,
+    })
+    .option("output-dir", {
+      type: "string",
+      default: Config.OUTPUT_DIR,
+    })
+    .option("output-template", {
+      type: "string",
+      default: Config.OUTPUT_TEMPLATE,
+    })
+    .option("debug-dir", {
+      type: "string",
+      default: Config.DEBUG_DIR,
     })
     .option("output-zoom", {
       alias: "z",
       type: "number",
       default: Config.OUTPUT_ZOOM,
     })
+    .option("output-format", {
+      type: "string",
+      choices: ["png", "jpeg", "jpg", "webp", "tiff", "tif", "pdf"],
+    })
+    .option("output-quality", {
+      type: "number",
+      default: Config.OUTPUT_QUALITY,
+    })
+    .option("webp-lossless", {
+      type: "boolean",
+      default: Config.WEBP_LOSSLESS,
+    })
     .option("output-dpi", {
       alias: "dpi",
       type: "number",
       default: Config.OUTPUT_DPI,
     })
+    .option("embed-metadata", {
+      type: "boolean",
+      default: Config.EMBED_METADATA,
+    })
+    .option("color", {
+      type: "boolean",
+      default: Config.COLOR_OUTPUT,
+    })
+    .option("white-balance", {
+      type: "boolean",
+      default: Config.WHITE_BALANCE,
+    })
+    .option("normalize-background", {
+      type: "boolean",
+      default: Config.NORMALIZE_BACKGROUND,
+    })
     .option("no-binary", {
       alias: "nb",
       type: "number",
@@ -134,16 +265,56 @@ async function main() {
       type: "number",
       default: Config.REMAP_DECIMATE,
     })
-    .demandCommand(1, "You must provide at least one input image.")
+    .option("watch", {
+      alias: "w",
+      type: "string",
+    })
+    .option("jobs", {
+      alias: "j",
+      type: "number",
+      default: 1,
+    })
+    .option("log-level", {
+      alias: "l",
+      type: "string",
+      choices: LOG_LEVELS,
+      default: "debug",
+    })
+    .check((argv) => {
+      if (argv.watch === undefined && argv._.length === 0) {
+        return "You must provide at least one input image.";
+      }
+      if (argv.watch !== undefined && argv.pdfFile !== undefined) {
+        return "--pdf-file cannot be combined with --watch.";
+      }
+      // Otherwise every input would fail the same way, after its fit
+      try {
+        resolveOutputFormat({
+          OUTPUT_TEMPLATE: argv.outputTemplate,
+          OUTPUT_FORMAT: argv.outputFormat ?? null,
+          CONVERT_TO_PDF: argv.pdf,
+        });
+      } catch (err) {
+        return `${err.message}.`;
+      }
+      return true;
+    })
     .help().argv;
 
   // Map argv to Config keys
   const configUpdates = {
     DEBUG_LEVEL: argv.debugLevel,
     DEBUG_OUTPUT: argv.debugOutput,
+    DEBUG_DIR: argv.debugDir,
     CONVERT_TO_PDF: argv.pdf,
+    EXIF_ORIENTATION: argv.exifOrientation,
+    AUTO_ORIENT: argv.autoOrient,
     SCREEN_MAX_W: argv.maxScreenWidth,
     SCREEN_MAX_H: argv.maxScreenHeight,
+    PAGE_OUTLINE: argv.pageOutline ?? null,
+    PAGE_DETECTION: argv.pageDetection,
+    SPREAD: argv.spread,
+    SPREAD_FIT: argv.spreadFit,
     PAGE_MARGIN_X: argv.xMargin,
     PAGE_MARGIN_Y: argv.yMargin,
     TEXT_MIN_WIDTH: argv.minTextWidth,
@@ -157,35 +328,114 @@ async function main() {
     EDGE_MAX_LENGTH: argv.maxEdgeLength,
     EDGE_ANGLE_COST: argv.edgeAngleCost,
     EDGE_MAX_ANGLE: argv.maxEdgeAngle,
-    FOCAL_LENGTH: argv.focalLength,
+    FOCAL_LENGTH: argv.focalLength ?? Config.FOCAL_LENGTH,
+    // An explicit --focal-length is not overridden by EXIF data
+    FOCAL_LENGTH_SOURCE:
+      argv.focalLengthSource ??
+      (argv.focalLength !== undefined ? "config" : Config.FOCAL_LENGTH_SOURCE),
+    OUTPUT_DIR: argv.outputDir,
+    OUTPUT_TEMPLATE: argv.outputTemplate,
     OUTPUT_ZOOM: argv.outputZoom,
+    OUTPUT_FORMAT: argv.outputFormat ?? null,
+    OUTPUT_QUALITY: argv.outputQuality,
+    WEBP_LOSSLESS: argv.webpLossless,
     OUTPUT_DPI: argv.outputDpi,
+    EMBED_METADATA: argv.embedMetadata,
     NO_BINARY: argv.noBinary,
+    COLOR_OUTPUT: argv.color,
+    WHITE_BALANCE: argv.whiteBalance,
+    NORMALIZE_BACKGROUND: argv.normalizeBackground,
     REMAP_DECIMATE: argv.shrink,
     OPTIM_MAX_ITER: argv.optimMaxIter,
     OPTIM_TOL: argv.optimTol,
+    DEWARP_MODE: argv.mode,
+    FALLBACK_MIN_SPANS: argv.fallbackMinSpans,
   };
 
-  updateConfig(configUpdates);
+  const logger = createConsoleLogger(argv.logLevel);
+  const inputFiles = argv._.map(String);
+  // With --pdf-file, pages are collected in input order instead of written
+  const pdfPages = argv.pdfFile !== undefined ? [] : null;
 
-  console.log("Loading OpenCV...");
-  await loadOpenCV();
-  console.log("OpenCV loaded.");
+  if (argv.watch !== undefined) {
+    await loadOpenCV();
+    const controller = new AbortController();
+    process.once("SIGINT", () => {
+      logger.info("Stopping after the current image...");
+      controller.abort();
+    });
+    await watchFolder(argv.watch, {
+      outputDir: argv.outputDir,
+      config: configUpdates,
+      logger,
+      signal: controller.signal,
+    });
+    return;
+  }
+
+  if (argv.jobs > 1) {
+    logger.info(
+      `Processing ${inputFiles.length} images with ${argv.jobs} jobs`
+    );
+    const results = await processBatch(inputFiles, {
+      jobs: argv.jobs,
+      config: configUpdates,
+      logger,
+      logLevel: argv.logLevel,
+      pdfPages: pdfPages !== null,
+      onResult: ({ input, status, error }) => {
+        if (error) {
+          logFailure(logger, input, error);
+        } else {
+          logger.info(`Finished processing ${input} (${status})`);
+        }
+      },
+    });
+    const failures = results.filter((entry) => entry.status === "failed");
+    if (pdfPages !== null) {
+      const pages = results.map((entry) => entry.result?.pdfPages);
+      await writePdf(argv.pdfFile, pages, logger);
+    }
+    reportFailures(failures, results.length, logger);
+    return;
+  }
 
-  const inputFiles = argv._;
+  logger.info("Loading OpenCV...");
+  await loadOpenCV();
+  logger.info("OpenCV loaded.");
 
-  for (const inputFile of inputFiles) {
-    console.log(`Processing ${inputFile}...`);
+  const names = uniqueOutputNames(inputFiles);
+  const outputClaims = createOutputClaims();
+  const failures = [];
+  for (const [index, inputFile] of inputFiles.entries()) {
+    logger.info(`Processing ${inputFile}...`);
     try {
-      const warpedImage = new WarpedImage(inputFile);
-      console.log(`Starting processing for ${inputFile}`);
+      const warpedImage = new WarpedImage(inputFile, {
+        name: names[index],
+        writeOutput: pdfPages === null,
+        config: configUpdates,
+        logger,
+        outputClaims,
+      });
+      logger.info(`Starting processing for ${inputFile}`);
       await warpedImage.process();
+      if (pdfPages !== null) {
+        pdfPages[index] = await warpedImage.toPdfPages();
+      }
       warpedImage.destroy();
-      console.log(`Finished processing ${inputFile}`);
+      logger.info(`Finished processing ${inputFile}`);
     } catch (err) {
-      console.error(`Failed to process ${inputFile}:`, err);
+      logFailure(logger, inputFile, err);
+      failures.push({ input: inputFile, error: err });
     }
   }
+  if (pdfPages !== null) await writePdf(argv.pdfFile, pdfPages, logger);
+  reportFailures(failures, inputFiles.length, logger);
 }
 
-main().catch(console.error);
+setIOAdapter(nodeIO);
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = EXIT_FATAL;
+});
@@ -0,0 +1,77 @@
+/**
+ * @module color
+ * @description Clean-up for unthresholded (colour or greyscale) output.
+ * Photographed pages have uneven lighting and a colour cast from the light
+ * source; background normalisation evens out the first and white balance
+ * removes the second.
+ */
+
+import { getOpenCV } from "./cv-loader.js";
+
+// Share of pixels assumed to be paper, which is the brightest part of a page
+const PAPER_PERCENTILE = 0.95;
+
+function percentile(channel, fraction) {
+  const histogram = new Uint32Array(256);
+  const { data } = channel;
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+  const target = fraction * data.length;
+  let count = 0;
+  for (let value = 0; value < 256; value++) {
+    count += histogram[value];
+    if (count >= target) return value;
+  }
+  return 255;
+}
+
+/**
+ * Scales each channel so the paper colour becomes white. The paper colour is
+ * taken as the 95th percentile brightness of each channel.
+ * @param {cv.Mat} mat - 8-bit image with one or three channels
+ * @returns {cv.Mat} A new Mat, owned by the caller
+ */
+export function whiteBalance(mat) {
+  const cv = getOpenCV();
+  const channels = new cv.MatVector();
+  cv.split(mat, channels);
+  const balanced = new cv.MatVector();
+  for (let i = 0; i < channels.size(); i++) {
+    const channel = channels.get(i);
+    const paper = Math.max(percentile(channel, PAPER_PERCENTILE), 1);
+    const scaled = new cv.Mat();
+    channel.convertTo(scaled, -1, 255 / paper, 0);
+    balanced.push_back(scaled);
+    channel.delete();
+    scaled.delete();
+  }
+  const dst = new cv.Mat();
+  cv.merge(balanced, dst);
+  channels.delete();
+  balanced.delete();
+  return dst;
+}
+
+/**
+ * Evens out the lighting by dividing each channel by an estimate of the
+ * paper's brightness: the image with dark print removed by a dilation over
+ * `winsz` pixels, then smoothed.
+ * @param {cv.Mat} mat - 8-bit image with one or three channels
+ * @param {number} winsz - Window size in pixels, larger than the print
+ * @returns {cv.Mat} A new Mat, owned by the caller
+ */
+export function normalizeBackground(mat, winsz) {
+  const cv = getOpenCV();
+  const size = Math.max(3, Math.round(winsz) | 1);
+  const kernel = cv.getStructuringElement(
+    cv.MORPH_RECT,
+    new cv.Size(size, size)
+  );
+  const background = new cv.Mat();
+  cv.dilate(mat, background, kernel);
+  cv.blur(background, background, new cv.Size(size, size));
+  const dst = new cv.Mat();
+  cv.divide(mat, background, dst, 255);
+  kernel.delete();
+  background.delete();
+  return dst;
+}
@@ -1,12 +1,15 @@
 /**
  * @module config
- * @description Global configuration for the page-dewarp pipeline.
+ * @description Configuration for the page-dewarp pipeline.
  * Contains camera parameters, detection thresholds, and output settings.
+ * `Config` holds the global defaults; pipeline runs take their own copy from
+ * `createConfig()` so that differently configured jobs can share a process.
  */
 
 export const Config = {
   // [camera_opts]
   FOCAL_LENGTH: 1.2,
+  FOCAL_LENGTH_SOURCE: "auto",
 
   // [contour_opts]
   TEXT_MIN_WIDTH: 15,
@@ -19,6 +22,7 @@ export const Config = {
 
   // [debug_out_opt]
   DEBUG_OUTPUT: "file",
+  DEBUG_DIR: "debug",
 
   // [edge_opts]
   EDGE_MAX_OVERLAP: 1.0,
@@ -27,8 +31,14 @@ export const Config = {
   EDGE_MAX_ANGLE: 7.5,
 
   // [image_opts]
+  EXIF_ORIENTATION: true,
+  AUTO_ORIENT: false,
   SCREEN_MAX_W: 1280,
   SCREEN_MAX_H: 700,
+  PAGE_OUTLINE: null,
+  PAGE_DETECTION: "margins",
+  SPREAD: false,
+  SPREAD_FIT: "joint",
   PAGE_MARGIN_X: 50,
   PAGE_MARGIN_Y: 20,
 
@@ -38,12 +48,23 @@ export const Config = {
   // [optim_opts]
   OPTIM_MAX_ITER: 60,
   OPTIM_TOL: 1e-6,
+  DEWARP_MODE: "auto",
+  FALLBACK_MIN_SPANS: 3,
 
   // [output_opts]
+  OUTPUT_DIR: ".",
+  OUTPUT_TEMPLATE: "{stem}_{variant}.{ext}",
+  OUTPUT_FORMAT: null,
+  OUTPUT_QUALITY: 90,
+  WEBP_LOSSLESS: false,
   OUTPUT_ZOOM: 1.0,
   OUTPUT_DPI: 300,
+  EMBED_METADATA: false,
   REMAP_DECIMATE: 16,
   NO_BINARY: 0,
+  COLOR_OUTPUT: false,
+  WHITE_BALANCE: false,
+  NORMALIZE_BACKGROUND: false,
 
   // [pdf_opts]
   CONVERT_TO_PDF: false,
@@ -52,12 +73,54 @@ export const Config = {
   RVEC_IDX: [0, 3],
   TVEC_IDX: [3, 6],
   CUBIC_IDX: [6, 8],
+  // Layout of the joint model of a spread, see projectSpreadXY()
+  SPINE_IDX: [6, 7],
+  LEFT_CUBIC_IDX: [7, 9],
+  RIGHT_CUBIC_IDX: [9, 11],
 
   // [span_opts]
   SPAN_MIN_WIDTH: 30,
   SPAN_PX_PER_STEP: 20,
 };
 
+/**
+ * Page models for `DEWARP_MODE`: "cubic" fits the curved page, "perspective"
+ * only corrects the camera angle, and "auto" falls back from the former to
+ * the latter when the curved fit fails.
+ */
+export const DEWARP_MODES = ["auto", "cubic", "perspective"];
+
+/**
+ * Sources for `FOCAL_LENGTH_SOURCE`: "exif" derives the focal length from the
+ * image's EXIF data (see `focalLengthFromExif()`), "config" always uses
+ * `FOCAL_LENGTH`, and "auto" uses the EXIF data when it has a focal length.
+ */
+export const FOCAL_LENGTH_SOURCES = ["auto", "exif", "config"];
+
+/**
+ * Page extents for `PAGE_DETECTION`: "margins", the default, insets the image
+ * borders by `PAGE_MARGIN_X` and `PAGE_MARGIN_Y` as the Python tool does, and
+ * "auto" detects the page outline (see `detectPageOutline()`), falling back
+ * to the margins. The default keeps outputs at parity with the Python tool.
+ */
+export const PAGE_DETECTIONS = ["auto", "margins"];
+
+/**
+ * Fits for the pages of a `SPREAD`: "joint" fits one model with a shared
+ * camera pose and spine to both pages, "separate" fits each page on its own.
+ */
+export const SPREAD_FITS = ["joint", "separate"];
+
+/**
+ * Creates an independent config object for a single pipeline run, using the
+ * global `Config` as defaults.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function createConfig(overrides = {}) {
+  return { ...Config, ...overrides };
+}
+
 export function updateConfig(newConfig) {
   Object.assign(Config, newConfig);
 }
@@ -1,6 +1,7 @@
 import { Config } from "./config.js";
 import { getOpenCV } from "./cv-loader.js";
 import { cCOLOURS, debugShow } from "./debug.js";
+import { silentLogger } from "./logger.js";
 
 /**
  * Represents a single detected text blob with geometric properties.
@@ -199,10 +200,10 @@ function findRawContours(mask) {
   return contoursVec;
 }
 
-function filterContourByGeometry(contour, rect, stats) {
+function filterContourByGeometry(contour, rect, stats, config) {
   const { width, height } = rect;
 
-  if (width < Config.TEXT_MIN_WIDTH) {
+  if (width < config.TEXT_MIN_WIDTH) {
     stats.rejectionBreakdown.width++;
     if (stats.sampleRejectedRects.length < 20) {
       stats.sampleRejectedRects.push({ reason: "width", rect });
@@ -210,7 +211,7 @@ function filterContourByGeometry(contour, rect, stats) {
     return { valid: false, reason: "width" };
   }
 
-  if (height < Config.TEXT_MIN_HEIGHT) {
+  if (height < config.TEXT_MIN_HEIGHT) {
     stats.rejectionBreakdown.height++;
     if (stats.sampleRejectedRects.length < 20) {
       stats.sampleRejectedRects.push({ reason: "height", rect });
@@ -218,7 +219,7 @@ function filterContourByGeometry(contour, rect, stats) {
     return { valid: false, reason: "height" };
   }
 
-  if (width < Config.TEXT_MIN_ASPECT * height) {
+  if (width < config.TEXT_MIN_ASPECT * height) {
     stats.rejectionBreakdown.aspect++;
     if (stats.sampleRejectedRects.length < 20) {
       stats.sampleRejectedRects.push({ reason: "aspect", rect });
@@ -229,7 +230,7 @@ function filterContourByGeometry(contour, rect, stats) {
   return { valid: true };
 }
 
-function filterContourByThickness(tightMask, rect, stats) {
+function filterContourByThickness(tightMask, rect, stats, config) {
   const cv = getOpenCV();
   const colSums = new cv.Mat();
   cv.reduce(tightMask, colSums, 0, cv.REDUCE_SUM, cv.CV_32S);
@@ -241,7 +242,7 @@ function filterContourByThickness(tightMask, rect, stats) {
   }
   colSums.delete();
 
-  if (maxThickness > Config.TEXT_MAX_THICKNESS) {
+  if (maxThickness > config.TEXT_MAX_THICKNESS) {
     stats.rejectionBreakdown.thickness++;
     if (stats.sampleRejectedRects.length < 20) {
       stats.sampleRejectedRects.push({ reason: "thickness", rect });
@@ -257,9 +258,17 @@ function filterContourByThickness(tightMask, rect, stats) {
  * @param {string} name
  * @param {cv.Mat} small
  * @param {cv.Mat} mask
+ * @param {Object} [config=Config]
+ * @param {Object} [logger=silentLogger]
  * @returns {Array<ContourInfo>}
  */
-export function getContours(name, small, mask) {
+export function getContours(
+  name,
+  small,
+  mask,
+  config = Config,
+  logger = silentLogger
+) {
   const cv = getOpenCV();
   const contoursVec = findRawContours(mask);
 
@@ -282,7 +291,12 @@ export function getContours(name, small, mask) {
     const rect = cv.boundingRect(contour);
     const { width, height, x: xmin, y: ymin } = rect;
 
-    const geometryResult = filterContourByGeometry(contour, rect, stats);
+    const geometryResult = filterContourByGeometry(
+      contour,
+      rect,
+      stats,
+      config
+    );
     if (!geometryResult.valid) {
       contour.delete();
       continue;
@@ -290,7 +304,12 @@ export function getContours(name, small, mask) {
 
     const tightMask = makeTightMask(contour, xmin, ymin, width, height);
 
-    const thicknessResult = filterContourByThickness(tightMask, rect, stats);
+    const thicknessResult = filterContourByThickness(
+      tightMask,
+      rect,
+      stats,
+      config
+    );
     if (!thicknessResult.valid) {
       tightMask.delete();
       contour.delete();
@@ -318,14 +337,20 @@ export function getContours(name, small, mask) {
   contoursVec.delete();
   lastContourStats = stats;
 
-  if (Config.DEBUG_LEVEL >= 2) {
-    visualizeContours(name, small, contoursOut);
+  if (config.DEBUG_LEVEL >= 2) {
+    visualizeContours(name, small, contoursOut, config, logger);
   }
 
   return contoursOut;
 }
 
-export async function visualizeContours(name, small, cinfoList) {
+export async function visualizeContours(
+  name,
+  small,
+  cinfoList,
+  config = Config,
+  logger = silentLogger
+) {
   const cv = getOpenCV();
   const display = small.clone();
   // Drawing logic...
@@ -351,6 +376,6 @@ export async function visualizeContours(name, small, cinfoList) {
 
   contoursVec.delete();
 
-  await debugShow(name, 1, "contours", display);
+  await debugShow(name, 1, "contours", display, config, logger);
   display.delete();
 }
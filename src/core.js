@@ -0,0 +1,40 @@
+/**
+ * @module page-dewarp-js/core
+ * @description Platform-independent public API.
+ * Nothing here imports Node built-ins or native modules. Before running the
+ * pipeline, register an OpenCV module with `setOpenCV()` and an I/O adapter
+ * with `setIOAdapter()`, or use the Node (`src/index.js`) or browser
+ * (`src/browser.js`) entry point, which do both.
+ */
+
+export {
+  Config,
+  createConfig,
+  DEWARP_MODES,
+  PAGE_DETECTIONS,
+  SPREAD_FITS,
+  updateConfig,
+} from "./config.js";
+export { getOpenCV, setOpenCV } from "./cv-loader.js";
+export { RemappedImage } from "./dewarp.js";
+export {
+  DewarpError,
+  InvalidInputError,
+  NoTextFoundError,
+  OptimisationDivergedError,
+} from "./errors.js";
+export { dewarpImage, WarpedImage } from "./image.js";
+export { describeOutput, embedMetadata } from "./image-metadata.js";
+export { getIOAdapter, setIOAdapter } from "./io.js";
+export { createConsoleLogger, silentLogger } from "./logger.js";
+export {
+  exportModel,
+  MODEL_VERSION,
+  parseModel,
+  serializeModel,
+} from "./model.js";
+export { detectOrientation } from "./orientation.js";
+export { detectPageOutline, parsePageOutline } from "./page-boundary.js";
+export { assemblePdf, createPdfPage } from "./pdf.js";
+export { PIPELINE_STAGES } from "./progress.js";
+export { VERSION } from "./version.js";
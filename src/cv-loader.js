@@ -1,4 +1,4 @@
-import opencv from "opencv-wasm";
+let instance = null;
 
 function stripThen(obj) {
   if (obj && typeof obj.then === "function") {
@@ -11,16 +11,22 @@ function stripThen(obj) {
   return obj;
 }
 
-export async function loadOpenCV() {
-  // Ensure .then is gone before returning
-  const cv = opencv.cv;
+/**
+ * Registers an initialised OpenCV module for the pipeline. Called by the
+ * platform `loadOpenCV()` functions.
+ * @param {Object} cv
+ * @returns {Object} The module, with its `then` removed so it can be
+ *   returned from async functions
+ */
+export function setOpenCV(cv) {
   if (!cv) throw new Error("opencv.cv is missing");
-  return stripThen(cv);
+  instance = stripThen(cv);
+  return instance;
 }
 
 export function getOpenCV() {
-  if (!opencv.cv) {
-    throw new Error("OpenCV not loaded properly?");
+  if (!instance) {
+    throw new Error("OpenCV not loaded properly? Call loadOpenCV() first");
   }
-  return opencv.cv; 
+  return instance;
 }
@@ -1,5 +1,5 @@
-import fs from "fs";
-import path from "path";
+import { getIOAdapter } from "./io.js";
+import { silentLogger } from "./logger.js";
 
 /**
  * Static class for collecting debug metrics during processing.
@@ -62,17 +62,14 @@ export class DebugMetrics {
   /**
    * Save collected metrics to a JSON file.
    * @param {string} filepath - Path where the JSON file should be saved
+   * @param {Object} [logger] - Logger for the confirmation message
+   * @returns {Promise<void>}
    */
-  static save(filepath) {
-    const dir = path.dirname(filepath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
+  static async save(filepath, logger = silentLogger) {
     const json = JSON.stringify(this._metrics, null, 2);
-    fs.writeFileSync(filepath, json, "utf8");
+    await getIOAdapter().writeFile(filepath, json);
 
-    console.log(`Debug metrics saved to ${filepath}`);
+    logger.info(`Debug metrics saved to ${filepath}`);
   }
 
   /**
@@ -1,6 +1,6 @@
-import fs from "fs";
-import path from "path";
 import { Config } from "./config.js";
+import { silentLogger } from "./logger.js";
+import { joinPath, resolvePath } from "./path-utils.js";
 import { saveMat } from "./utils.js";
 
 export const cCOLOURS = [
@@ -20,8 +20,15 @@ export const cCOLOURS = [
   [128, 128, 128],
 ];
 
-export async function debugShow(name, step, text, display) {
-  if (Config.DEBUG_LEVEL === 0) return;
+export async function debugShow(
+  name,
+  step,
+  text,
+  display,
+  config = Config,
+  logger = silentLogger
+) {
+  if (config.DEBUG_LEVEL === 0) return;
 
   // Determine if we should show based on step/level
   // Python logic:
@@ -29,18 +36,15 @@ export async function debugShow(name, step, text, display) {
   // Here we just assume the caller checks DEBUG_LEVEL usually,
   // or we implement the logic here.
 
-  if (Config.DEBUG_OUTPUT === "file" || Config.DEBUG_OUTPUT === "both") {
-    const debugDir = path.join(process.cwd(), "debug");
-    if (!fs.existsSync(debugDir)) {
-      fs.mkdirSync(debugDir);
-    }
+  if (config.DEBUG_OUTPUT === "file" || config.DEBUG_OUTPUT === "both") {
+    const debugDir = resolvePath(config.DEBUG_DIR);
 
     // step can be float like 0.1
     const stepStr = String(step).replace(".", "-");
     const filename = `${name}_${stepStr}_${text.replace(/\s+/g, "_")}.png`;
-    const filepath = path.join(debugDir, filename);
+    const filepath = joinPath(debugDir, filename);
 
-    console.log(`[DEBUG] Saving ${filepath}`);
+    logger.debug(`[DEBUG] Saving ${filepath}`);
     await saveMat(display, filepath);
   }
 }
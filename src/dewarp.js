@@ -1,6 +1,17 @@
 import { Config } from "./config.js";
+import { normalizeBackground, whiteBalance } from "./color.js";
 import { getOpenCV } from "./cv-loader.js";
-import { projectXY } from "./projection.js";
+import { describeOutput, metadataFor } from "./image-metadata.js";
+import { silentLogger } from "./logger.js";
+import { matchesImageSize } from "./model.js";
+import { encodeOptions, resolveOutputFormat } from "./output-format.js";
+import {
+  claimOutputPath,
+  createOutputClaims,
+  outputVariant,
+  resolveOutputPath,
+} from "./output-path.js";
+import { PROJECTIONS } from "./projection.js";
 import { norm2pix, roundNearestMultiple, saveMat } from "./utils.js";
 
 function linspace(start, end, num) {
@@ -10,38 +21,51 @@ function linspace(start, end, num) {
   return arr;
 }
 
-function computeOutputDimensions(pageDims, imgRows) {
+function computeOutputDimensions(pageDims, imgRows, config, logger) {
   const [pageWidthNorm, pageHeightNorm] = pageDims;
 
-  let height = 0.5 * pageHeightNorm * Config.OUTPUT_ZOOM * imgRows;
-  height = roundNearestMultiple(height, Config.REMAP_DECIMATE);
+  let height = 0.5 * pageHeightNorm * config.OUTPUT_ZOOM * imgRows;
+  height = roundNearestMultiple(height, config.REMAP_DECIMATE);
 
   let width = roundNearestMultiple(
     (height * pageWidthNorm) / pageHeightNorm,
-    Config.REMAP_DECIMATE
+    config.REMAP_DECIMATE
   );
 
   const MAX_DIM = 3000;
   if (width > MAX_DIM || height > MAX_DIM) {
     const scale = MAX_DIM / Math.max(width, height);
-    width = roundNearestMultiple(width * scale, Config.REMAP_DECIMATE);
-    height = roundNearestMultiple(height * scale, Config.REMAP_DECIMATE);
-    console.log(`  clamping output to ${width}x${height}`);
+    width = roundNearestMultiple(width * scale, config.REMAP_DECIMATE);
+    height = roundNearestMultiple(height * scale, config.REMAP_DECIMATE);
+    logger.info(`  clamping output to ${width}x${height}`);
   }
 
-  console.log(`  output will be ${width}x${height}`);
+  logger.info(`  output will be ${width}x${height}`);
 
-  const heightSmall = Math.floor(height / Config.REMAP_DECIMATE);
-  const widthSmall = Math.floor(width / Config.REMAP_DECIMATE);
+  const heightSmall = Math.floor(height / config.REMAP_DECIMATE);
+  const widthSmall = Math.floor(width / config.REMAP_DECIMATE);
 
   return { width, height, widthSmall, heightSmall };
 }
 
-function buildRemapMaps(widthSmall, heightSmall, pageDims, params, img) {
+function buildRemapMaps(
+  widthSmall,
+  heightSmall,
+  pageDims,
+  params,
+  surface,
+  img,
+  config,
+  logger
+) {
   const cv = getOpenCV();
   const [pageWidthNorm, pageHeightNorm] = pageDims;
 
-  const pageXRange = linspace(0, pageWidthNorm, widthSmall);
+  const pageXRange = linspace(
+    surface.pageOffset,
+    surface.pageOffset + pageWidthNorm,
+    widthSmall
+  );
   const pageYRange = linspace(0, pageHeightNorm, heightSmall);
 
   const pageXYCoords = [];
@@ -51,7 +75,7 @@ function buildRemapMaps(widthSmall, heightSmall, pageDims, params, img) {
     }
   }
 
-  const projPoints = projectXY(pageXYCoords, params);
+  const projPoints = PROJECTIONS[surface.model](pageXYCoords, params, config);
   const imagePoints = norm2pix(img, projPoints, false);
 
   const mapXSmall = new cv.Mat(heightSmall, widthSmall, cv.CV_32F);
@@ -84,7 +108,7 @@ function buildRemapMaps(widthSmall, heightSmall, pageDims, params, img) {
   }
 
   if (invalidPointCount > 0) {
-    console.warn(
+    logger.warn(
       `  WARNING: Found ${invalidPointCount} NaN/Inf points in projection. Replaced with 0.`
     );
   }
@@ -92,8 +116,8 @@ function buildRemapMaps(widthSmall, heightSmall, pageDims, params, img) {
   const mapX = new cv.Mat();
   const mapY = new cv.Mat();
   const dsize = new cv.Size(
-    widthSmall * Config.REMAP_DECIMATE,
-    heightSmall * Config.REMAP_DECIMATE
+    widthSmall * config.REMAP_DECIMATE,
+    heightSmall * config.REMAP_DECIMATE
   );
   cv.resize(mapXSmall, mapX, dsize, 0, 0, cv.INTER_CUBIC);
   cv.resize(mapYSmall, mapY, dsize, 0, 0, cv.INTER_CUBIC);
@@ -101,9 +125,35 @@ function buildRemapMaps(widthSmall, heightSmall, pageDims, params, img) {
   return { mapX, mapY, mapXSmall, mapYSmall };
 }
 
-function applyRemapAndThreshold(img, mapX, mapY, width, height) {
+// Optional background normalisation and white balance of unthresholded output
+function correctColor(mat, config) {
+  let result = mat;
+  if (config.NORMALIZE_BACKGROUND) {
+    const normalized = normalizeBackground(result, config.ADAPTIVE_WINSZ);
+    result.delete();
+    result = normalized;
+  }
+  if (config.WHITE_BALANCE) {
+    const balanced = whiteBalance(result);
+    result.delete();
+    result = balanced;
+  }
+  return result;
+}
+
+function applyRemapAndThreshold(img, mapX, mapY, width, height, config) {
   const cv = getOpenCV();
 
+  if (config.COLOR_OUTPUT) {
+    // load() converts the decoded RGBA image to BGR, while encoders expect RGB
+    const imgRgb = new cv.Mat();
+    cv.cvtColor(img, imgRgb, cv.COLOR_BGR2RGB);
+    const remapped = new cv.Mat();
+    cv.remap(imgRgb, remapped, mapX, mapY, cv.INTER_CUBIC, cv.BORDER_REPLICATE);
+    imgRgb.delete();
+    return correctColor(remapped, config);
+  }
+
   const imgGray = new cv.Mat();
   cv.cvtColor(img, imgGray, cv.COLOR_RGB2GRAY);
 
@@ -113,8 +163,8 @@ function applyRemapAndThreshold(img, mapX, mapY, width, height) {
   imgGray.delete();
 
   let result;
-  if (Config.NO_BINARY) {
-    result = remapped;
+  if (config.NO_BINARY) {
+    result = correctColor(remapped, config);
   } else {
     const thresh = new cv.Mat();
     cv.adaptiveThreshold(
@@ -123,7 +173,7 @@ function applyRemapAndThreshold(img, mapX, mapY, width, height) {
       255,
       cv.ADAPTIVE_THRESH_MEAN_C,
       cv.THRESH_BINARY,
-      Config.ADAPTIVE_WINSZ,
+      config.ADAPTIVE_WINSZ,
       25
     );
     result = thresh;
@@ -138,19 +188,82 @@ function applyRemapAndThreshold(img, mapX, mapY, width, height) {
  * optimized 3D model.
  */
 export class RemappedImage {
-  constructor(name, img, small, pageDims, params) {
+  /**
+   * Creates a remapper that applies an imported page model (see
+   * `parseModel()`) to a new image, without running detection. The model's
+   * focal length overrides `FOCAL_LENGTH`.
+   * @param {string} name
+   * @param {cv.Mat} img - Full resolution BGR image
+   * @param {Object} model
+   * @param {Object} [options] - As for the constructor
+   * @returns {RemappedImage}
+   */
+  static fromModel(name, img, model, options = {}) {
+    const config = {
+      ...(options.config ?? Config),
+      FOCAL_LENGTH: model.focalLength,
+    };
+    const logger = options.logger ?? silentLogger;
+    if (!matchesImageSize(model, { width: img.cols, height: img.rows })) {
+      logger.warn(
+        `  ${name} does not have the aspect ratio of the model's source image`
+      );
+    }
+    return new RemappedImage(name, img, null, model.pageDims, model.params, {
+      ...options,
+      config,
+      logger,
+      surface: model.surface,
+      pageOffset: model.pageOffset,
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {cv.Mat} img - Full resolution BGR image
+   * @param {cv.Mat | null} small
+   * @param {[number, number]} pageDims
+   * @param {Array<number>} params
+   * @param {Object} [options] - `config`, `logger`, `writeOutput`, `source`
+   *   (the owner of the output path), the `claims` of the run (see
+   *   `createOutputClaims()`), and for one page of a spread's joint
+   *   model, `surface: "spread"` and the `pageOffset` of its left edge in
+   *   page coordinates
+   */
+  constructor(name, img, small, pageDims, params, options = {}) {
     this.name = name;
     this.img = img; // Full res image (RGB)
     this.small = small;
     this.pageDims = pageDims; // [width, height]
     this.params = params;
+    this.surface = {
+      model: options.surface ?? "page",
+      pageOffset: options.pageOffset ?? 0,
+    };
+    this.config = options.config ?? Config;
+    this.logger = options.logger ?? silentLogger;
+    this.writeOutput = options.writeOutput ?? true;
+    this.source = options.source ?? name; // Owner of the output path
+    this.claims = options.claims ?? createOutputClaims();
     this.threshfile = null;
+    // Text embedded in the output with EMBED_METADATA, see describeOutput()
+    this.metadata = this.config.EMBED_METADATA
+      ? describeOutput(this.config, { params, pageDims })
+      : null;
   }
 
+  /**
+   * Remaps (and optionally thresholds) the full resolution image. The output
+   * is only written when `writeOutput` is enabled, to `OUTPUT_DIR` under a
+   * name from `OUTPUT_TEMPLATE` with the variant of `outputVariant()`.
+   * @returns {Promise<cv.Mat>} The dewarped image, owned by the caller.
+   */
   async process() {
     const { width, height, widthSmall, heightSmall } = computeOutputDimensions(
       this.pageDims,
-      this.img.rows
+      this.img.rows,
+      this.config,
+      this.logger
     );
 
     const { mapX, mapY, mapXSmall, mapYSmall } = buildRemapMaps(
@@ -158,15 +271,41 @@ export class RemappedImage {
       heightSmall,
       this.pageDims,
       this.params,
-      this.img
+      this.surface,
+      this.img,
+      this.config,
+      this.logger
     );
 
-    const result = applyRemapAndThreshold(this.img, mapX, mapY, width, height);
+    const result = applyRemapAndThreshold(
+      this.img,
+      mapX,
+      mapY,
+      width,
+      height,
+      this.config
+    );
 
-    this.threshfile = `${this.name}_thresh.png`;
-    await saveMat(result, this.threshfile);
+    if (this.writeOutput) {
+      const { format, ext, mimeType } = resolveOutputFormat(this.config);
+      const outputPath = resolveOutputPath(this.config, {
+        stem: this.name,
+        variant: outputVariant(this.config),
+        ext,
+      });
+      this.threshfile = claimOutputPath(outputPath, this.source, this.claims);
+      if (this.threshfile !== outputPath) {
+        this.logger.warn(
+          `  ${outputPath} is already used by another input, writing ${this.threshfile}`
+        );
+      }
+      await saveMat(result, this.threshfile, {
+        ...encodeOptions(format, this.config),
+        metadata: metadataFor(this.metadata, mimeType, this.logger),
+      });
+    }
 
-    if (Config.DEBUG_LEVEL >= 1) {
+    if (this.config.DEBUG_LEVEL >= 1) {
       // Show output
     }
 
@@ -174,6 +313,7 @@ export class RemappedImage {
     mapYSmall.delete();
     mapX.delete();
     mapY.delete();
-    result.delete();
+
+    return result;
   }
 }
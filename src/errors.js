@@ -0,0 +1,61 @@
+/**
+ * @module errors
+ * @description Error classes thrown by the pipeline.
+ * Every class extends `DewarpError` and carries a stable `code`, so callers
+ * (and the CLI summary) can tell why an image failed, even after the error
+ * crossed a worker thread boundary and only `name` and `code` survived.
+ */
+
+export class DewarpError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = new.target.name;
+    this.code = "DEWARP_ERROR";
+  }
+}
+
+/**
+ * The input could not be read or decoded, or is not a supported type.
+ */
+export class InvalidInputError extends DewarpError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = "INVALID_INPUT";
+  }
+}
+
+/**
+ * Detection found no text spans to fit the page model to.
+ */
+export class NoTextFoundError extends DewarpError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.contourCount]
+   * @param {number} [options.spanCount]
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = "NO_TEXT_FOUND";
+    this.contourCount = options.contourCount ?? 0;
+    this.spanCount = options.spanCount ?? 0;
+  }
+}
+
+/**
+ * The optimiser ended with a non-finite cost or params.
+ */
+export class OptimisationDivergedError extends DewarpError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.initialCost]
+   * @param {number} [options.finalCost]
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = "OPTIMISATION_DIVERGED";
+    this.initialCost = options.initialCost ?? null;
+    this.finalCost = options.finalCost ?? null;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * @module exif
+ * @description Minimal EXIF reader for JPEG files.
+ * Reads the first (IFD0) directory of the APP1 "Exif" segment, which holds
+ * the Orientation tag, and the Exif sub-directory it points to, which holds
+ * the camera settings. Missing or malformed EXIF data is treated as absent
+ * rather than failing the load.
+ */
+
+export const EXIF_TAGS = {
+  ORIENTATION: 0x0112,
+  EXIF_IFD: 0x8769,
+  FOCAL_LENGTH: 0x920a,
+  PIXEL_X_DIMENSION: 0xa002,
+  PIXEL_Y_DIMENSION: 0xa003,
+  FOCAL_PLANE_X_RESOLUTION: 0xa20e,
+  FOCAL_PLANE_RESOLUTION_UNIT: 0xa210,
+  FOCAL_LENGTH_IN_35MM_FILM: 0xa405,
+};
+
+// Diagonal of the 36x24mm frame that 35mm equivalent focal lengths refer to
+const FULL_FRAME_DIAGONAL_MM = Math.hypot(36, 24);
+
+// FocalPlaneResolutionUnit values: inch (the default), cm, mm and µm
+const RESOLUTION_UNIT_MM = { 2: 25.4, 3: 10, 4: 1, 5: 0.001 };
+
+// Byte size of one value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function findExifSegment(bytes) {
+  if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    // Metadata segments all come before the image data
+    if (marker === 0xda || marker === 0xd9) return null;
+    const length = view.getUint16(offset + 2);
+    const start = offset + 4;
+    if (
+      marker === 0xe1 &&
+      String.fromCharCode(...bytes.subarray(start, start + 6)) === "Exif\0\0"
+    ) {
+      return bytes.subarray(start + 6, offset + 2 + length);
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function readValue(view, le, type, count, position) {
+  const read = (i) => {
+    const at = position + i * TYPE_SIZES[type];
+    switch (type) {
+      case 3:
+        return view.getUint16(at, le);
+      case 4:
+        return view.getUint32(at, le);
+      case 9:
+        return view.getInt32(at, le);
+      case 5:
+        return view.getUint32(at, le) / view.getUint32(at + 4, le);
+      case 10:
+        return view.getInt32(at, le) / view.getInt32(at + 4, le);
+      default:
+        return view.getUint8(at);
+    }
+  };
+  if (type === 2) {
+    const chars = Array.from({ length: count }, (_, i) => read(i));
+    return String.fromCharCode(...chars).replace(/\0+$/, "");
+  }
+  if (count === 1) return read(0);
+  return Array.from({ length: count }, (_, i) => read(i));
+}
+
+function readIfd(view, le, ifdOffset) {
+  const tags = new Map();
+  const count = view.getUint16(ifdOffset, le);
+  for (let i = 0; i < count; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(entry, le);
+    const type = view.getUint16(entry + 2, le);
+    const valueCount = view.getUint32(entry + 4, le);
+    if (!TYPE_SIZES[type]) continue;
+    // Values of up to four bytes are stored in the entry itself
+    const position =
+      TYPE_SIZES[type] * valueCount <= 4
+        ? entry + 8
+        : view.getUint32(entry + 8, le);
+    tags.set(tag, readValue(view, le, type, valueCount, position));
+  }
+  return tags;
+}
+
+/**
+ * Reads the IFD0 and Exif sub-directory tags of a JPEG's EXIF data. Their tag
+ * numbers do not overlap, so they are returned together.
+ * @param {Uint8Array} bytes - Encoded image
+ * @returns {Map<number, number | string | Array<number>>} Values by tag
+ *   number, empty for images without (valid) EXIF data
+ */
+export function readExifTags(bytes) {
+  const tiff = findExifSegment(bytes);
+  if (!tiff || tiff.length < 8) return new Map();
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const byteOrder = String.fromCharCode(tiff[0], tiff[1]);
+  if (byteOrder !== "II" && byteOrder !== "MM") return new Map();
+  const le = byteOrder === "II";
+  try {
+    const tags = readIfd(view, le, view.getUint32(4, le));
+    const exifIfd = tags.get(EXIF_TAGS.EXIF_IFD);
+    if (Number.isInteger(exifIfd)) {
+      for (const [tag, value] of readIfd(view, le, exifIfd)) {
+        tags.set(tag, value);
+      }
+    }
+    return tags;
+  } catch (err) {
+    if (err instanceof RangeError) return new Map(); // Truncated EXIF data
+    throw err;
+  }
+}
+
+/**
+ * Returns the Orientation from EXIF tags: 1 is upright, 3 is rotated by 180°,
+ * 6 and 8 need a clockwise and anticlockwise quarter turn, and 2, 4, 5 and 7
+ * are their mirrored versions.
+ * @param {Map<number, *>} tags - From `readExifTags()`
+ * @returns {number} 1 to 8; 1 when there is no valid orientation
+ */
+export function orientationFromExif(tags) {
+  const orientation = tags.get(EXIF_TAGS.ORIENTATION);
+  return Number.isInteger(orientation) && orientation >= 1 && orientation <= 8
+    ? orientation
+    : 1;
+}
+
+/**
+ * Reads the EXIF Orientation of a JPEG, see `orientationFromExif()`.
+ * @param {Uint8Array} bytes - Encoded image
+ * @returns {number} 1 to 8
+ */
+export function readExifOrientation(bytes) {
+  return orientationFromExif(readExifTags(bytes));
+}
+
+/**
+ * Returns the orientation that undoes `orientation`. Only the quarter turns
+ * differ from their own inverse.
+ * @param {number} orientation
+ * @returns {number}
+ */
+export function invertOrientation(orientation) {
+  if (orientation === 6) return 8;
+  if (orientation === 8) return 6;
+  return orientation;
+}
+
+/**
+ * Works out the normalised focal length (see `FOCAL_LENGTH`) of an image from
+ * its EXIF data: from `FocalLengthIn35mmFilm`, or else from `FocalLength`
+ * and the sensor's focal plane resolution. The focal length in pixels,
+ * `f_px`, is normalised as `2 * f_px / max(width, height)`.
+ * @param {Map<number, *>} tags - From `readExifTags()`
+ * @param {{ width: number, height: number }} imageSize - Size of the decoded
+ *   image in pixels
+ * @returns {{ focalLength: number, tag: string } | null} null when the EXIF
+ *   data has neither
+ */
+export function focalLengthFromExif(tags, imageSize) {
+  const maxDim = Math.max(imageSize.width, imageSize.height);
+  const normalise = (pixels) => (2 * pixels) / maxDim;
+
+  const equivalent = tags.get(EXIF_TAGS.FOCAL_LENGTH_IN_35MM_FILM);
+  if (equivalent > 0) {
+    // Equal focal lengths give equal diagonal angles of view
+    const diagonal = Math.hypot(imageSize.width, imageSize.height);
+    return {
+      focalLength: normalise((equivalent * diagonal) / FULL_FRAME_DIAGONAL_MM),
+      tag: "FocalLengthIn35mmFilm",
+    };
+  }
+
+  const millimetres = tags.get(EXIF_TAGS.FOCAL_LENGTH);
+  const resolution = tags.get(EXIF_TAGS.FOCAL_PLANE_X_RESOLUTION);
+  const unit =
+    RESOLUTION_UNIT_MM[tags.get(EXIF_TAGS.FOCAL_PLANE_RESOLUTION_UNIT) ?? 2];
+  if (
+    millimetres > 0 &&
+    resolution > 0 &&
+    Number.isFinite(resolution) &&
+    unit
+  ) {
+    // The resolution is given for the full sensor image, which may have been
+    // downscaled since
+    const sensorMaxDim = Math.max(
+      tags.get(EXIF_TAGS.PIXEL_X_DIMENSION) ?? 0,
+      tags.get(EXIF_TAGS.PIXEL_Y_DIMENSION) ?? 0
+    );
+    const scale = sensorMaxDim > 0 ? maxDim / sensorMaxDim : 1;
+    return {
+      focalLength: normalise(((millimetres * resolution) / unit) * scale),
+      tag: "FocalLength",
+    };
+  }
+  return null;
+}
@@ -0,0 +1,319 @@
+/**
+ * @module image-metadata
+ * @description Writes resolution and processing metadata into encoded images.
+ * Encoders leave the resolution unset, so viewers, printers and OCR tools
+ * assume 72 dpi. The DPI is written as a PNG pHYs chunk, TIFF resolution tags
+ * or JFIF density; PDF pages are sized from it instead (see `createPdfPage()`).
+ * The optional text is stored as a PNG iTXt chunk, a TIFF ImageDescription or
+ * a JPEG comment. WebP output is left unchanged.
+ */
+
+import { silentLogger } from "./logger.js";
+import { VERSION } from "./version.js";
+
+const METERS_PER_INCH = 0.0254;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_TEXT_KEYWORD = "page-dewarp";
+
+const TIFF_TYPE_ASCII = 2;
+const TIFF_TYPE_SHORT = 3;
+const TIFF_TYPE_RATIONAL = 5;
+const TIFF_TAG_IMAGE_DESCRIPTION = 270;
+const TIFF_TAG_X_RESOLUTION = 282;
+const TIFF_TAG_Y_RESOLUTION = 283;
+const TIFF_TAG_RESOLUTION_UNIT = 296;
+const TIFF_UNIT_INCH = 2;
+
+// Bytes of data in a JPEG segment, after its two byte length
+const JPEG_MAX_SEGMENT = 0xffff - 2;
+
+const encoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks (ISO 3309, polynomial 0xedb88320).
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(encoder.encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function isOwnTextChunk(type, data) {
+  const keyword = encoder.encode(`${PNG_TEXT_KEYWORD}\0`);
+  return type === "iTXt" && keyword.every((byte, i) => data[i] === byte);
+}
+
+function embedPng(bytes, dpi, text) {
+  if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+    throw new Error("Not a PNG image");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    const chunk = bytes.subarray(offset, offset + 12 + length);
+    offset += 12 + length;
+
+    // Earlier metadata is replaced rather than duplicated
+    if (type === "pHYs" || isOwnTextChunk(type, data)) continue;
+    if (type === "IEND" && text !== null) {
+      // Keyword, compression flag and method, empty language and translation
+      const header = encoder.encode(`${PNG_TEXT_KEYWORD}\0\0\0\0\0`);
+      parts.push(pngChunk("iTXt", concat([header, encoder.encode(text)])));
+    }
+    parts.push(chunk);
+    if (type === "IHDR") {
+      const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+      const phys = new Uint8Array(9);
+      const physView = new DataView(phys.buffer);
+      physView.setUint32(0, pixelsPerMeter);
+      physView.setUint32(4, pixelsPerMeter);
+      phys[8] = 1; // Unit: metre
+      parts.push(pngChunk("pHYs", phys));
+    }
+  }
+  return concat(parts);
+}
+
+// Rewrites the first IFD at the end of the file with the resolution tags
+// replaced. Values stored out of line keep their offsets, so only the header's
+// IFD offset changes; the old IFD is left in place, unreferenced.
+function embedTiff(bytes, dpi, text) {
+  const byteOrder = String.fromCharCode(bytes[0], bytes[1]);
+  if (byteOrder !== "II" && byteOrder !== "MM") {
+    throw new Error("Not a TIFF image");
+  }
+  const le = byteOrder === "II";
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ifdOffset = view.getUint32(4, le);
+  const count = view.getUint16(ifdOffset, le);
+  const nextIfd = view.getUint32(ifdOffset + 2 + count * 12, le);
+  const replaced = [
+    TIFF_TAG_X_RESOLUTION,
+    TIFF_TAG_Y_RESOLUTION,
+    TIFF_TAG_RESOLUTION_UNIT,
+  ];
+  if (text !== null) replaced.push(TIFF_TAG_IMAGE_DESCRIPTION);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const start = ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(start, le);
+    if (!replaced.includes(tag)) {
+      entries.push({ tag, raw: bytes.subarray(start, start + 12) });
+    }
+  }
+
+  // Out of line values go after the existing data, at word boundaries
+  const extra = [];
+  let end = bytes.length + (bytes.length % 2);
+  const addValue = (data) => {
+    const valueOffset = end;
+    extra.push({ offset: valueOffset, data });
+    end += data.length + (data.length % 2);
+    return valueOffset;
+  };
+  const rational = new Uint8Array(8);
+  const rationalView = new DataView(rational.buffer);
+  rationalView.setUint32(0, Math.round(dpi * 100), le);
+  rationalView.setUint32(4, 100, le);
+  const rationalOffset = addValue(rational);
+  entries.push(
+    { tag: TIFF_TAG_X_RESOLUTION, type: TIFF_TYPE_RATIONAL, count: 1 },
+    { tag: TIFF_TAG_Y_RESOLUTION, type: TIFF_TYPE_RATIONAL, count: 1 },
+    { tag: TIFF_TAG_RESOLUTION_UNIT, type: TIFF_TYPE_SHORT, count: 1 }
+  );
+  let textOffset = null;
+  if (text !== null) {
+    const data = encoder.encode(`${text}\0`);
+    textOffset = data.length > 4 ? addValue(data) : null;
+    entries.push({
+      tag: TIFF_TAG_IMAGE_DESCRIPTION,
+      type: TIFF_TYPE_ASCII,
+      count: data.length,
+      data,
+    });
+  }
+  entries.sort((a, b) => a.tag - b.tag);
+
+  const newIfdOffset = end;
+  const size = newIfdOffset + 2 + entries.length * 12 + 4;
+  const out = new Uint8Array(size);
+  out.set(bytes);
+  for (const { offset, data } of extra) out.set(data, offset);
+  const outView = new DataView(out.buffer);
+  outView.setUint32(4, newIfdOffset, le);
+  outView.setUint16(newIfdOffset, entries.length, le);
+  entries.forEach((entry, i) => {
+    const start = newIfdOffset + 2 + i * 12;
+    if (entry.raw) {
+      out.set(entry.raw, start);
+      return;
+    }
+    outView.setUint16(start, entry.tag, le);
+    outView.setUint16(start + 2, entry.type, le);
+    outView.setUint32(start + 4, entry.count, le);
+    if (entry.tag === TIFF_TAG_RESOLUTION_UNIT) {
+      outView.setUint16(start + 8, TIFF_UNIT_INCH, le);
+    } else if (entry.tag === TIFF_TAG_IMAGE_DESCRIPTION) {
+      if (textOffset === null) out.set(entry.data, start + 8);
+      else outView.setUint32(start + 8, textOffset, le);
+    } else {
+      outView.setUint32(start + 8, rationalOffset, le);
+    }
+  });
+  outView.setUint32(newIfdOffset + 2 + entries.length * 12, nextIfd, le);
+  return out;
+}
+
+function jpegSegment(marker, data) {
+  if (data.length > JPEG_MAX_SEGMENT) {
+    throw new Error("JPEG segments are limited to 65533 bytes");
+  }
+  const segment = new Uint8Array(4 + data.length);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  new DataView(segment.buffer).setUint16(2, data.length + 2);
+  segment.set(data, 4);
+  return segment;
+}
+
+function embedJpeg(bytes, dpi, text) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw new Error("Not a JPEG image");
+  }
+  const density = Math.min(Math.round(dpi), 0xffff);
+  let rest = bytes.subarray(2);
+  const isJfif =
+    rest[0] === 0xff &&
+    rest[1] === 0xe0 &&
+    String.fromCharCode(...rest.subarray(4, 9)) === "JFIF\0";
+  let app0;
+  if (isJfif) {
+    const length = (rest[2] << 8) | rest[3];
+    app0 = new Uint8Array(rest.subarray(0, 2 + length));
+    rest = rest.subarray(2 + length);
+  } else {
+    // JFIF 1.01 without a thumbnail
+    app0 = jpegSegment(0xe0, new Uint8Array(14));
+    app0.set(encoder.encode("JFIF\0"), 4);
+    app0.set([1, 1], 9);
+  }
+  const app0View = new DataView(app0.buffer);
+  app0[11] = 1; // Units: dots per inch
+  app0View.setUint16(12, density);
+  app0View.setUint16(14, density);
+
+  const parts = [bytes.subarray(0, 2), app0];
+  const comment = metadataFor(text, "image/jpeg");
+  if (comment !== null) parts.push(jpegSegment(0xfe, encoder.encode(comment)));
+  parts.push(rest);
+  return concat(parts);
+}
+
+const EMBEDDERS = {
+  "image/png": embedPng,
+  "image/tiff": embedTiff,
+  "image/jpeg": embedJpeg,
+};
+
+/**
+ * Returns the metadata text to embed in a format, or null when it does not
+ * fit: a JPEG comment holds at most 65533 bytes, which the config and the
+ * params of a page with many spans can exceed. The text is then left out
+ * with a warning instead of failing the output.
+ * @param {string | null} metadata
+ * @param {string} mimeType
+ * @param {Object} [logger]
+ * @returns {string | null}
+ */
+export function metadataFor(metadata, mimeType, logger = silentLogger) {
+  if (metadata === null || mimeType !== "image/jpeg") return metadata;
+  const size = encoder.encode(metadata).length;
+  if (size <= JPEG_MAX_SEGMENT) return metadata;
+  logger.warn(
+    `  Metadata of ${size} bytes does not fit in a JPEG comment, leaving it out`
+  );
+  return null;
+}
+
+/**
+ * Writes the resolution, and optionally a text, into encoded image bytes.
+ * Formats without a place for them are returned unchanged, and a text too
+ * long for the format is left out (see `metadataFor()`).
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {string} mimeType - MIME type of `bytes`
+ * @param {{ dpi?: number, metadata?: string }} [options] - `metadata` is the
+ *   text to embed, see `describeOutput()`
+ * @returns {Uint8Array}
+ */
+export function embedMetadata(bytes, mimeType, options = {}) {
+  const { dpi, metadata = null } = options;
+  const embed = EMBEDDERS[mimeType];
+  if (!embed || !(dpi > 0)) return bytes;
+  const out = embed(bytes, dpi, metadata);
+  // Keep the encoder's byte array type, e.g. a Buffer in Node
+  return bytes.constructor === Uint8Array
+    ? out
+    : bytes.constructor.from(out.buffer);
+}
+
+/**
+ * Describes how an output was made, as JSON: the library version, the config
+ * and the fitted page model.
+ * @param {Object} config
+ * @param {{ params: Array<number>, pageDims: [number, number] }} model
+ * @returns {string}
+ */
+export function describeOutput(config, model) {
+  return JSON.stringify({
+    library: "page-dewarp-js",
+    version: VERSION,
+    config,
+    model: {
+      params: Array.from(model.params),
+      pageDims: [model.pageDims[0], model.pageDims[1]],
+      focalLength: config.FOCAL_LENGTH,
+    },
+  });
+}
@@ -1,57 +1,529 @@
-import path from "path";
-import { Config } from "./config.js";
+import {
+  createConfig,
+  DEWARP_MODES,
+  FOCAL_LENGTH_SOURCES,
+  PAGE_DETECTIONS,
+  SPREAD_FITS,
+} from "./config.js";
 import { getLastContourStats } from "./contours.js";
+import { createRunGuard } from "./cancellation.js";
 import { getOpenCV } from "./cv-loader.js";
 import { DebugMetrics } from "./debug-metrics.js";
+import {
+  InvalidInputError,
+  NoTextFoundError,
+  OptimisationDivergedError,
+} from "./errors.js";
 import { RemappedImage } from "./dewarp.js";
+import { focalLengthFromExif } from "./exif.js";
+import { metadataFor } from "./image-metadata.js";
+import { silentLogger } from "./logger.js";
 import { Mask } from "./mask.js";
+import { matchesImageSize, warmStartParams } from "./model.js";
 import { minimize, optimiseParams } from "./optimise.js";
-import { projectXY } from "./projection.js";
+import { detectOrientation, rotateMat, rotatePoints } from "./orientation.js";
+import {
+  encodeOptions,
+  formatFromMimeType,
+  resolveOutputFormat,
+} from "./output-format.js";
+import { createOutputClaims } from "./output-path.js";
+import { detectPageOutline, validatePageOutline } from "./page-boundary.js";
+import { joinPath, parsePath } from "./path-utils.js";
+import { createPdfPage } from "./pdf.js";
+import { createStageTracker, stageProgress } from "./progress.js";
+import { PROJECTIONS } from "./projection.js";
 import { getDefaultParams } from "./solve.js";
 import { assembleSpans, keypointsFromSamples, sampleSpans } from "./spans.js";
-import { imgsize, loadImageMat } from "./utils.js";
+import { findGutter, spineFromGutter, splitOutline } from "./spread.js";
+import { decodeInput, encodeMat, imgsize, matToImageData } from "./utils.js";
 import { drawProjectedGrid } from "./visualization.js";
 
+// Pixels of the downsampled image between a detected page edge and the text
+const PAGE_EDGE_INSET = 5;
+
 /**
  * Orchestrates the full dewarping pipeline from loading to output.
+ *
+ * The input can be a file path, encoded image bytes (a Buffer or `Blob`), an
+ * `ImageData`-like object or a `cv.Mat`. The dewarped image is kept in memory as `outputMat`;
+ * it is written to `OUTPUT_DIR` (as `{stem}_thresh.png` with the default
+ * `OUTPUT_TEMPLATE`, or `_gray` and `_color` for unthresholded output) only when `writeOutput` is enabled, which is the default
+ * for file path inputs only.
+ *
+ * @param {string | Buffer | Blob | ImageData | cv.Mat} input
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name used for output and debug files
+ * @param {boolean} [options.writeOutput] - Write the result to disk
+ * @param {Object} [options.config] - Config overrides for this image, merged
+ *   over the global `Config` defaults
+ * @param {Object} [options.logger] - Logger with debug/info/warn/error
+ *   methods; silent by default
+ * @param {Function} [options.onProgress] - Called with a progress event at
+ *   the start and end of every stage and on each optimiser iteration (see
+ *   `createStageTracker`)
+ * @param {Map<string, string>} [options.outputClaims] - Output paths of the
+ *   run, an empty `Map` shared by all of its inputs, so that an output path
+ *   already written by another input is numbered instead of overwritten
  */
 export class WarpedImage {
-  constructor(imgfile) {
-    this.imgfile = imgfile;
-    this.basename = path.basename(imgfile);
-    this.stem = path.parse(imgfile).name;
+  constructor(input, options = {}) {
+    this.input = input;
+    this.imgfile = typeof input === "string" ? input : null;
+    this.stem =
+      options.name ?? (this.imgfile ? parsePath(this.imgfile).name : "image");
+    this.basename = this.imgfile ? parsePath(this.imgfile).base : this.stem;
+    this.writeOutput = options.writeOutput ?? this.imgfile !== null;
+    this.config = createConfig(options.config);
+    this.logger = options.logger ?? silentLogger;
+    this.onProgress = options.onProgress ?? null;
+    this.outputClaims = options.outputClaims ?? createOutputClaims();
     this.written = false;
+    this.outputMat = null; // Dewarped result (Mat)
     this.cv2_img = null; // Original image (Mat)
     this.small = null; // Resized image (Mat)
+    this.orientation = 0; // Degrees the input was turned clockwise
+    this.pageProgress = null; // See setPageProgress()
     this.pagemask = null; // Mat
     this.page_outline = null; // Array/Mat
     this.contour_list = [];
+    this.pages = null; // Left and right WarpedImage of a spread
   }
 
-  async process() {
-    console.log("  Loading image...");
-    await this.load();
-    console.log(
-      `  Loaded ${this.basename} at ${imgsize(this.cv2_img)} --> ${imgsize(
-        this.small
-      )}`
+  /**
+   * Runs the full pipeline: `detect()`, `fit()` and `render()`.
+   *
+   * Resolves to a result object with `status` ("ok"), `name`, `output`
+   * ({ file, width, height }), the fitted
+   * `params` and `pageDims`, `contourCount`, `spanCount`, `pointCount`,
+   * `initialCost`, `finalCost`, the fit `mode`, `fallback` and
+   * `fallbackReason` (see `fit()`), the `focalLength` used (see
+   * `FOCAL_LENGTH_SOURCE`), `budgetExceeded` and per-stage `timings` in
+   * milliseconds.
+   *
+   * With `SPREAD`, an image showing two pages is split at the gutter and
+   * each page is dewarped on its own, as `{stem}_L` and `{stem}_R`. The
+   * result then has the `gutter` (its top and bottom point in pixels of the
+   * input) and the results of both pages in `pages`, while the pages
+   * themselves are kept as `WarpedImage`s in `this.pages`. Images without a
+   * gutter are dewarped as a single page.
+   *
+   * The run can be cancelled through `signal`, which rejects with the
+   * signal's reason, or limited to `timeBudget` milliseconds. When the budget
+   * runs out, `budgetPolicy: "abort"` rejects with a `TimeoutError`, while
+   * `"best"` stops the optimiser and finishes with the best parameters found
+   * so far. All Mats are released when the run fails.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.timeBudget] - Wall-clock budget in milliseconds
+   * @param {"abort" | "best"} [options.budgetPolicy="abort"]
+   * @returns {Promise<Object>}
+   * @throws {InvalidInputError} If the image cannot be loaded
+   * @throws {NoTextFoundError} If no text spans are detected
+   * @throws {OptimisationDivergedError} If the model fit diverges in "cubic"
+   *   mode
+   */
+  async process(options = {}, run = this.startRun(options)) {
+    try {
+      if (this.config.SPREAD) {
+        const result = await this.processSpread(options, run);
+        if (result) return result;
+      }
+      const detection = await this.detect(options, run);
+      const fit = await this.fit(detection, options, run);
+      await this.render(fit, {}, run);
+      await this.saveDebugMetrics();
+
+      this.logger.info("  Done.");
+
+      return this.buildResult("ok", run.tracker.finish(), {
+        params: fit.params,
+        pageDims: fit.pageDims,
+        contourCount: detection.contourCount,
+        spanCount: detection.spanCount,
+        pointCount: detection.pointCount,
+        initialCost: fit.initialCost,
+        finalCost: fit.finalCost,
+        mode: fit.mode,
+        fallback: fit.fallback,
+        fallbackReason: fit.fallbackReason,
+        focalLength: fit.focalLength,
+        budgetExceeded: run.guard.expired(),
+      });
+    } catch (err) {
+      this.destroy();
+      throw err;
+    }
+  }
+
+  // Dewarps the two pages of a spread, or resolves to null when no gutter is
+  // found, leaving the image to be processed as one page
+  async processSpread(options, run) {
+    const spreadFit = this.config.SPREAD_FIT;
+    if (!SPREAD_FITS.includes(spreadFit)) {
+      throw new Error(`Unknown spread fit: ${spreadFit}`);
+    }
+    await this.ensureLoaded(run);
+
+    run.begin("pageExtents");
+    this.logger.info("  Calculating page extents...");
+    this.calculatePageExtents();
+    run.tracker.end("pageExtents");
+
+    run.begin("contours");
+    this.logger.info("  Finding the gutter...");
+    this.contour_list = this.contourInfo(true);
+    const gutter = findGutter(
+      this.small,
+      this.pagemask,
+      this.contour_list,
+      this.logger
     );
+    const contourCount = this.contour_list.length;
+    run.tracker.end("contours");
+    if (!gutter) {
+      this.logger.warn(
+        `  No gutter found in ${this.basename}, dewarping it as one page`
+      );
+      // detect() goes on from the page extents and contours found here
+      run.contoursFound = true;
+      return null;
+    }
+    this.contour_list.forEach((c) => c.destroy());
+    this.contour_list = [];
 
-    DebugMetrics.add("image_dims", {
-      original: { width: this.cv2_img.cols, height: this.cv2_img.rows },
-      resized: { width: this.small.cols, height: this.small.rows },
+    // Each page is dewarped from the full image, within its half of the
+    // page outline
+    const scale = this.cv2_img.cols / this.small.cols;
+    const toInput = (points) => points.map(([x, y]) => [x * scale, y * scale]);
+    const halves = splitOutline(this.page_outline, gutter);
+    this.pages = [
+      ["L", halves.left],
+      ["R", halves.right],
+    ].map(
+      ([side, outline], index) =>
+        new WarpedImage(this.cv2_img, {
+          name: `${this.stem}_${side}`,
+          writeOutput: this.writeOutput,
+          config: {
+            ...this.config,
+            SPREAD: false,
+            // The spread is already upright
+            AUTO_ORIENT: false,
+            PAGE_OUTLINE: toInput(outline),
+            // Already read from the EXIF data of the spread
+            FOCAL_LENGTH_SOURCE: "config",
+          },
+          logger: this.logger,
+          outputClaims: this.outputClaims,
+          onProgress:
+            this.onProgress &&
+            ((event) => this.reportPageProgress(index, event)),
+        })
+    );
+    const gutterInput = {
+      top: toInput([gutter.top])[0],
+      bottom: toInput([gutter.bottom])[0],
+    };
+    if (spreadFit === "joint") {
+      const result = await this.fitSpread(
+        gutter,
+        gutterInput,
+        contourCount,
+        options,
+        run
+      );
+      await this.saveDebugMetrics();
+      return result;
+    }
+
+    this.setPageProgress(stageProgress("contours", 1), 1);
+    const pages = [];
+    for (const page of this.pages) {
+      this.logger.info(`  Dewarping ${page.stem}...`);
+      pages.push(
+        await this.withoutBlankPage(page, () =>
+          page.process(options, page.startRun(options, run.guard))
+        )
+      );
+    }
+    this.keepPagesWithText(pages, contourCount);
+    await this.saveDebugMetrics();
+
+    return this.buildResult("ok", run.tracker.finish(), {
+      contourCount,
+      focalLength: this.config.FOCAL_LENGTH,
+      gutter: gutterInput,
+      pages,
+      budgetExceeded: pages.some((page) => page.budgetExceeded),
     });
+  }
 
-    console.log("  Calculating page extents...");
-    this.calculatePageExtents();
+  // Debug metrics are saved along with written outputs, or when debugging
+  async saveDebugMetrics() {
+    if (!this.writeOutput && this.config.DEBUG_LEVEL < 1) return;
+    await DebugMetrics.save(
+      joinPath(this.config.DEBUG_DIR, `${this.stem}_metrics_js.json`),
+      this.logger
+    );
+  }
+
+  // Resolves to null, after a warning, when `step` finds no text on a page of
+  // a spread, which is often blank
+  async withoutBlankPage(page, step) {
+    try {
+      return await step();
+    } catch (err) {
+      if (!(err instanceof NoTextFoundError)) throw err;
+      this.logger.warn(`  No text found on ${page.stem}, leaving it out`);
+      return null;
+    }
+  }
+
+  // Leaves the pages of a spread with a null entry in `found` out of `pages`,
+  // and removes their entries; throws when neither page has text
+  keepPagesWithText(found, contourCount) {
+    if (found.every((entry) => entry === null)) {
+      throw new NoTextFoundError(
+        `No text found on either page of ${this.stem}`,
+        { contourCount, spanCount: 0 }
+      );
+    }
+    this.pages = this.pages.filter((page, i) => {
+      if (found[i] === null) page.destroy();
+      return found[i] !== null;
+    });
+    found.splice(0, found.length, ...found.filter((entry) => entry !== null));
+  }
+
+  // Fits one model with a shared camera pose and spine to the text of both
+  // pages, each detected within its own half, and renders each page from its
+  // side of the spine. The spine starts at the gutter and stays near it. A
+  // page without text is left out, and the other is fitted on its own.
+  async fitSpread(gutter, gutterInput, contourCount, options, run) {
+    let pageRuns = this.pages.map((page) => page.startRun(options, run.guard));
+    const detected = stageProgress("sampling", 1);
+    this.setPageProgress(stageProgress("contours", 1), detected, 0, detected);
+    const detections = [];
+    for (const [i, page] of this.pages.entries()) {
+      this.logger.info(`  Detecting text on ${page.stem}...`);
+      detections.push(
+        await this.withoutBlankPage(page, () =>
+          page.detect(options, pageRuns[i])
+        )
+      );
+    }
+    if (detections.includes(null)) {
+      pageRuns = pageRuns.filter((_, i) => detections[i] !== null);
+      this.keepPagesWithText(detections, contourCount);
+      const [page] = this.pages;
+      this.logger.info(`  Dewarping ${page.stem}...`);
+      this.setPageProgress(detected, 1, detected, 1);
+      const fit = await page.fit(detections[0], options, pageRuns[0]);
+      await page.render(fit, {}, pageRuns[0]);
+      const pageResult = page.buildResult("ok", pageRuns[0].tracker.finish(), {
+        params: fit.params,
+        pageDims: fit.pageDims,
+        contourCount: detections[0].contourCount,
+        spanCount: detections[0].spanCount,
+        pointCount: detections[0].pointCount,
+        initialCost: fit.initialCost,
+        finalCost: fit.finalCost,
+        mode: fit.mode,
+        fallback: fit.fallback,
+        fallbackReason: fit.fallbackReason,
+        focalLength: fit.focalLength,
+        budgetExceeded: pageRuns[0].guard.expired(),
+      });
+      return this.buildResult("ok", run.tracker.finish(), {
+        contourCount,
+        focalLength: this.config.FOCAL_LENGTH,
+        gutter: gutterInput,
+        pages: [pageResult],
+        budgetExceeded: pageResult.budgetExceeded,
+      });
+    }
+    const sum = (field) =>
+      detections.reduce((total, detection) => total + detection[field], 0);
+
+    // Both pages were sampled in the coordinates of the same image, so their
+    // spans share the page axes and corners of the whole spread
+    run.begin("keypoints");
+    this.logger.info("  Getting keypoints of the spread...");
+    const spanPoints = detections.flatMap((detection) => detection.spanPoints);
+    const { corners, ycoords, xcoords } = keypointsFromSamples(
+      this.stem,
+      this.small,
+      this.pagemask,
+      this.page_outline,
+      spanPoints,
+      this.config,
+      this.logger
+    );
+    const { spine: gutterSpine, spineBounds } = spineFromGutter(
+      gutter,
+      this.small,
+      corners
+    );
+    run.tracker.end("keypoints");
+
+    const fit = await this.fit(
+      {
+        name: this.stem,
+        imageSize: this.imageSize(),
+        contourCount,
+        spanCount: sum("spanCount"),
+        pointCount: sum("pointCount"),
+        pageOutline: this.page_outline,
+        spanPoints,
+        corners,
+        ycoords,
+        xcoords,
+        surface: "spread",
+        leftSpanCount: detections[0].spanCount,
+        spine: gutterSpine,
+        spineBounds,
+      },
+      options,
+      run
+    );
+    const [width, height] = fit.pageDims;
+    const spine = Math.min(
+      Math.max(fit.params[this.config.SPINE_IDX[0]], 0),
+      width
+    );
+    this.logger.info(`  spine at ${spine} of ${width}`);
+    const pageFits = [
+      { ...fit, pageDims: [spine, height], pageOffset: 0 },
+      { ...fit, pageDims: [width - spine, height], pageOffset: spine },
+    ];
+
+    const fitted = stageProgress("pageDims", 1);
+    this.setPageProgress(fitted, 1, fitted, 1);
+    const pages = [];
+    for (const [i, page] of this.pages.entries()) {
+      this.logger.info(`  Rendering ${page.stem}...`);
+      await page.render(pageFits[i], {}, pageRuns[i]);
+      pages.push(
+        page.buildResult("ok", pageRuns[i].tracker.finish(), {
+          params: fit.params,
+          pageDims: pageFits[i].pageDims,
+          contourCount: detections[i].contourCount,
+          spanCount: detections[i].spanCount,
+          pointCount: detections[i].pointCount,
+          mode: fit.mode,
+          fallback: fit.fallback,
+          fallbackReason: fit.fallbackReason,
+          focalLength: fit.focalLength,
+          budgetExceeded: run.guard.expired(),
+        })
+      );
+    }
+
+    return this.buildResult("ok", run.tracker.finish(), {
+      params: fit.params,
+      pageDims: fit.pageDims,
+      contourCount,
+      spanCount: sum("spanCount"),
+      pointCount: sum("pointCount"),
+      initialCost: fit.initialCost,
+      finalCost: fit.finalCost,
+      mode: fit.mode,
+      fallback: fit.fallback,
+      fallbackReason: fit.fallbackReason,
+      focalLength: fit.focalLength,
+      gutter: gutterInput,
+      pages,
+      budgetExceeded: run.guard.expired(),
+    });
+  }
+
+  // Sets where the pages of a spread report their progress: each page's
+  // progress over `from`..`to` is mapped onto its share of `start`..`end` of
+  // the spread's, so that progress keeps increasing across both pages
+  setPageProgress(start, end, from = 0, to = 1) {
+    this.pageProgress = { start, end, from, to };
+  }
+
+  reportPageProgress(index, event) {
+    const { start, end, from, to } = this.pageProgress;
+    const fraction = Math.min(
+      Math.max((event.progress - from) / (to - from), 0),
+      1
+    );
+    // A page left out as blank leaves the whole range to the other
+    const count = this.pages.length;
+    const share = Math.min(index, count - 1) + fraction;
+    this.onProgress({
+      ...event,
+      page: index,
+      progress: start + ((end - start) * share) / count,
+    });
+  }
+
+  /**
+   * Creates the cancellation guard and stage tracker shared by the stages of
+   * one run. Stage methods called on their own start a run of their own.
+   * @param {Object} [options] - `signal`, `timeBudget` and `budgetPolicy`
+   * @param {Object} [guard] - Guard of another run to share, so that the
+   *   pages of a spread run within the spread's budget
+   */
+  startRun(options = {}, guard = createRunGuard(options)) {
+    const tracker = createStageTracker(this.onProgress);
+    return {
+      guard,
+      tracker,
+      // Set when the page extents and contours are already found
+      contoursFound: false,
+      begin(stage) {
+        guard.check();
+        tracker.start(stage);
+      },
+    };
+  }
+
+  /**
+   * Detection stage: loads the image, finds text contours, assembles them
+   * into spans and samples keypoints.
+   *
+   * Resolves to plain data that can be stored as JSON and passed to `fit()`:
+   * `name`, `imageSize`, `contourCount`, `spanCount`, `pointCount`, `pageOutline` (pixels
+   * of the downsampled image), `spanPoints` (the sampled points of every span,
+   * in normalized coordinates), and the keypoint `corners`, `ycoords` and
+   * `xcoords`.
+   *
+   * @param {Object} [options] - `signal`, `timeBudget` and `budgetPolicy`
+   * @returns {Promise<Object>}
+   * @throws {InvalidInputError} If the image cannot be loaded
+   * @throws {NoTextFoundError} If no text spans are found
+   */
+  async detect(options = {}, run = this.startRun(options)) {
+    await this.ensureLoaded(run);
+
+    if (run.contoursFound) {
+      // By processSpread(), for a spread without a gutter
+      run.contoursFound = false;
+    } else {
+      run.begin("pageExtents");
+      this.logger.info("  Calculating page extents...");
+      this.calculatePageExtents();
+      run.tracker.end("pageExtents");
+
+      run.begin("contours");
+      this.logger.info("  Detecting contours...");
+      this.contour_list = this.contourInfo(true); // text=true
+      run.tracker.end("contours");
+    }
 
     DebugMetrics.add("page_extents", {
       page_outline: this.page_outline,
     });
 
-    console.log("  Detecting contours...");
-    this.contour_list = this.contourInfo(true); // text=true
-    console.log(`  Found ${this.contour_list.length} initial text contours`);
+    this.logger.info(
+      `  Found ${this.contour_list.length} initial text contours`
+    );
+    const contourCount = this.contour_list.length;
 
     DebugMetrics.add("contours_count", this.contour_list.length);
     const contourStats = getLastContourStats();
@@ -82,8 +554,9 @@ export class WarpedImage {
         )
     );
 
-    console.log("  Assembling spans...");
-    let spans = this.iterativelyAssembleSpans();
+    run.begin("spans");
+    this.logger.info("  Assembling spans...");
+    const spans = this.iterativelyAssembleSpans();
 
     DebugMetrics.add("spans_count", spans.length);
     DebugMetrics.add(
@@ -102,16 +575,20 @@ export class WarpedImage {
     if (this.spanStats) {
       DebugMetrics.add("span_stats", this.spanStats);
     }
+    run.tracker.end("spans");
 
     if (spans.length < 1) {
-      console.log(`skipping ${this.stem} because only ${spans.length} spans`);
-      return;
+      throw new NoTextFoundError(
+        `No text found in ${this.stem}: ${contourCount} contours, no spans`,
+        { contourCount, spanCount: 0 }
+      );
     }
 
-    console.log("  Sampling spans...");
-    const spanPoints = sampleSpans(this.small, spans);
+    run.begin("sampling");
+    this.logger.info("  Sampling spans...");
+    const spanPoints = sampleSpans(this.small, spans, this.config);
     const nPts = spanPoints.reduce((a, b) => a + b.length, 0);
-    console.log(`  got ${spans.length} spans with ${nPts} points.`);
+    this.logger.info(`  got ${spans.length} spans with ${nPts} points.`);
     DebugMetrics.add(
       "span_point_counts",
       spanPoints.map((pts) => pts.length)
@@ -120,14 +597,18 @@ export class WarpedImage {
       "span_points_sample",
       spanPoints.slice(0, 5).map((pts) => pts.slice(0, 5))
     );
+    run.tracker.end("sampling");
 
-    console.log("  Getting keypoints...");
+    run.begin("keypoints");
+    this.logger.info("  Getting keypoints...");
     const { corners, ycoords, xcoords } = keypointsFromSamples(
       this.stem,
       this.small,
       this.pagemask,
       this.page_outline,
-      spanPoints
+      spanPoints,
+      this.config,
+      this.logger
     );
 
     const allKeypoints = [
@@ -136,69 +617,450 @@ export class WarpedImage {
     ];
     DebugMetrics.add("keypoints_count", allKeypoints.length);
     DebugMetrics.add("keypoints_sample", allKeypoints.slice(0, 10));
+    run.tracker.end("keypoints");
+
+    return {
+      name: this.stem,
+      imageSize: this.imageSize(),
+      contourCount,
+      spanCount: spans.length,
+      pointCount: nPts,
+      pageOutline: this.page_outline,
+      spanPoints,
+      corners,
+      ycoords,
+      xcoords,
+    };
+  }
+
+  /**
+   * Fitting stage: estimates the initial pose from the detected keypoints,
+   * optimises the page model and then the page dimensions.
+   *
+   * Resolves to plain data that can be stored as JSON and passed to
+   * `render()`: `params`, `pageDims`, `roughDims` (the estimate before
+   * optimisation), `spanCounts`, `focalLength`, `imageSize`, `initialCost`,
+   * `finalCost`, `iterations`, `stopped` (true when the optimiser was
+   * stopped early), `mode` ("cubic" or "perspective"), `fallback`,
+   * `fallbackReason` and the `surface` model. `exportModel()` turns it into a
+   * reusable page model.
+   *
+   * Detections of both pages of a spread, merged by `processSpread()`, have
+   * `surface: "spread"` and are fitted with the joint model of
+   * `projectSpreadXY()`.
+   *
+   * `DEWARP_MODE` selects the model. "cubic" always fits the curved page
+   * model. "perspective" only uses the solvePnP pose of a flat page, for flat
+   * pages photographed at an angle. "auto" fits the curved model but falls
+   * back to a perspective-only fit, flagged with `fallback: true`, when there
+   * are fewer than `FALLBACK_MIN_SPANS` spans or the optimisation diverges.
+   *
+   * @param {Object} detection - Result of `detect()`
+   * @param {Object} [options] - `signal`, `timeBudget` and `budgetPolicy`
+   * @param {Object} [options.warmStart] - Page model (see `parseModel()`)
+   *   whose page curvature is used as the starting point of the optimisation
+   * @returns {Promise<Object>}
+   * @throws {NoTextFoundError} If the detection has no spans
+   * @throws {OptimisationDivergedError} If the optimiser ends with a
+   *   non-finite cost or params, in "cubic" mode
+   */
+  async fit(detection, options = {}, run = this.startRun(options)) {
+    if (detection.spanCount < 1) {
+      throw new NoTextFoundError(
+        `Cannot fit ${detection.name}: no text spans detected`,
+        { contourCount: detection.contourCount, spanCount: 0 }
+      );
+    }
+    const mode = this.config.DEWARP_MODE;
+    if (!DEWARP_MODES.includes(mode)) {
+      throw new Error(`Unknown dewarp mode: ${mode}`);
+    }
+    // The image is only needed for debug drawings
+    if (this.config.DEBUG_LEVEL >= 1) await this.ensureLoaded(run);
+
+    const { corners, ycoords, xcoords, spanPoints } = detection;
+    const surface = detection.surface ?? "page";
 
-    console.log("  Getting default params...");
-    let {
+    run.begin("optimise");
+    this.logger.info("  Getting default params...");
+    const {
       pageDims: roughDims,
       spanCounts,
-      params,
-    } = getDefaultParams(corners, ycoords, xcoords);
+      params: defaultParams,
+    } = getDefaultParams(corners, ycoords, xcoords, this.config, this.logger, {
+      surface,
+      leftSpanCount: detection.leftSpanCount,
+      spine: detection.spine,
+    });
+
+    // The default params are the solvePnP pose of a flat page
+    const fitPerspective = (fallbackReason, fields = {}) => {
+      if (fallbackReason) {
+        this.logger.warn(
+          `  Falling back to a perspective-only dewarp for ${this.stem}: ${fallbackReason}`
+        );
+      }
+      return this.fitPageDims(
+        detection,
+        roughDims,
+        spanCounts,
+        defaultParams,
+        run,
+        {
+          mode: "perspective",
+          fallback: fallbackReason !== null,
+          fallbackReason,
+          ...fields,
+        }
+      );
+    };
+
+    if (mode === "perspective") {
+      run.tracker.end("optimise");
+      return fitPerspective(null);
+    }
+    if (
+      mode === "auto" &&
+      detection.spanCount < this.config.FALLBACK_MIN_SPANS
+    ) {
+      run.tracker.end("optimise");
+      return fitPerspective(
+        `too few spans (${detection.spanCount} < ${this.config.FALLBACK_MIN_SPANS})`
+      );
+    }
+
+    let initialParams = defaultParams;
+    if (options.warmStart) {
+      if (options.warmStart.focalLength !== this.config.FOCAL_LENGTH) {
+        this.logger.warn(
+          `  warm start model was fitted with focal length ${options.warmStart.focalLength}, not ${this.config.FOCAL_LENGTH}`
+        );
+      }
+      this.logger.info("  Warm starting from page model...");
+      initialParams = warmStartParams(
+        defaultParams,
+        options.warmStart,
+        this.config,
+        surface
+      );
+    }
 
-    console.log("  Optimizing params...");
+    this.logger.info("  Optimizing params...");
     const dstpoints = [corners[0]].concat(spanPoints.flat());
 
     DebugMetrics.add("dstpoints", dstpoints);
 
-    params = await optimiseParams(
+    const optimisation = await optimiseParams(
       this.stem,
       this.small,
       dstpoints,
       spanCounts,
-      params
+      initialParams,
+      this.config,
+      this.logger,
+      {
+        surface,
+        spineBounds: detection.spineBounds,
+        shouldStop: run.guard.shouldStop,
+        onIteration: (iteration, loss) =>
+          run.tracker.iteration(
+            "optimise",
+            iteration,
+            this.config.OPTIM_MAX_ITER,
+            loss
+          ),
+      }
     );
+    const { params, initialCost, finalCost, iterations, stopped } =
+      optimisation;
+    run.tracker.end("optimise");
 
-    console.log("  Optimizing page dims...");
-    let pageDims = await this.getPageDims(corners, roughDims, params);
+    // The optimiser never raises the cost, but a degenerate detection or
+    // camera, e.g. a focal length of 0, makes it NaN
+    if (!Number.isFinite(finalCost) || !params.every(Number.isFinite)) {
+      const reason = `optimisation diverged (cost ${initialCost} -> ${finalCost})`;
+      if (mode === "cubic") {
+        throw new OptimisationDivergedError(
+          `Optimisation diverged for ${this.stem}: cost ${initialCost} -> ${finalCost}`,
+          { initialCost, finalCost }
+        );
+      }
+      return fitPerspective(reason, {
+        initialCost,
+        finalCost,
+        iterations,
+        stopped,
+      });
+    }
+
+    return this.fitPageDims(detection, roughDims, spanCounts, params, run, {
+      mode: "cubic",
+      fallback: false,
+      fallbackReason: null,
+      initialCost,
+      finalCost,
+      iterations,
+      stopped,
+    });
+  }
+
+  /**
+   * Page dims stage shared by the cubic and perspective fits: refines the
+   * rough page size against `params` and builds the fit result.
+   */
+  async fitPageDims(detection, roughDims, spanCounts, params, run, fields) {
+    run.begin("pageDims");
+    this.logger.info("  Optimizing page dims...");
+    const surface = detection.surface ?? "page";
+    let pageDims = await this.getPageDims(
+      detection.corners,
+      roughDims,
+      params,
+      surface
+    );
 
     DebugMetrics.add("page_dims", pageDims);
 
     if (pageDims[0] < 0 || pageDims[1] < 0) {
-      console.log(
+      this.logger.warn(
         "Got a negative page dimension! Falling back to rough estimate"
       );
       pageDims = roughDims;
     }
+    run.tracker.end("pageDims");
+
+    if (this.config.DEBUG_LEVEL >= 1) {
+      await drawProjectedGrid(
+        this.stem,
+        this.small,
+        params,
+        pageDims,
+        this.config,
+        this.logger,
+        surface
+      );
+    }
+
+    return {
+      params,
+      pageDims,
+      roughDims,
+      spanCounts,
+      surface,
+      focalLength: this.config.FOCAL_LENGTH,
+      imageSize: detection.imageSize,
+      initialCost: null,
+      finalCost: null,
+      iterations: 0,
+      stopped: false,
+      ...fields,
+    };
+  }
+
+  /**
+   * Render stage: remaps the full resolution image through a fitted model
+   * into `outputMat`, replacing any previous output. The model can be a
+   * `fit()` result or an imported page model (see `parseModel()`), in which
+   * case detection is skipped entirely.
+   *
+   * Output settings such as `OUTPUT_ZOOM`, `NO_BINARY` or `OUTPUT_DPI` can be
+   * overridden per call, so one fit can be rendered many times:
+   *
+   *   const fit = await image.fit(await image.detect());
+   *   await image.render(fit, { config: { NO_BINARY: 1 } });
+   *
+   * @param {Object} fit - Result of `fit()` or a page model
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Config overrides for this render
+   * @param {string} [options.name] - Output name, defaults to the image stem
+   * @returns {Promise<{ file: string | null, width: number, height: number }>}
+   */
+  async render(fit, options = {}, run = this.startRun(options)) {
+    await this.ensureLoaded(run);
 
-    if (Config.DEBUG_LEVEL >= 1) {
-      await drawProjectedGrid(this.stem, this.small, params, pageDims);
+    run.begin("remap");
+    this.logger.info("  Thresholding/Remapping...");
+    const config = { ...this.config, ...options.config };
+    if (fit.focalLength !== undefined) {
+      config.FOCAL_LENGTH = fit.focalLength;
     }
+    if (fit.imageSize && !matchesImageSize(fit, this.imageSize())) {
+      this.logger.warn(
+        `  ${this.stem} does not have the aspect ratio of the model's source image`
+      );
+    }
+    await this.threshold(
+      fit.pageDims,
+      fit.params,
+      config,
+      options.name ?? this.stem,
+      { surface: fit.surface, pageOffset: fit.pageOffset }
+    );
+    this.written = this.writeOutput;
+    run.tracker.end("remap");
+
+    return {
+      file: this.outfile ?? null,
+      width: this.outputMat.cols,
+      height: this.outputMat.rows,
+    };
+  }
+
+  imageSize() {
+    return { width: this.cv2_img.cols, height: this.cv2_img.rows };
+  }
+
+  async ensureLoaded(run) {
+    if (this.cv2_img) return;
 
-    console.log("  Thresholding/Remapping...");
-    await this.threshold(pageDims, params);
-    this.written = true;
+    run.begin("load");
+    this.logger.info("  Loading image...");
+    await this.load();
+    this.logger.info(
+      `  Loaded ${this.basename} at ${imgsize(this.cv2_img)} --> ${imgsize(
+        this.small
+      )}`
+    );
 
-    DebugMetrics.save(`debug/${this.stem}_metrics_js.json`);
+    DebugMetrics.add("image_dims", {
+      original: { width: this.cv2_img.cols, height: this.cv2_img.rows },
+      resized: { width: this.small.cols, height: this.small.rows },
+    });
+    run.tracker.end("load");
+  }
 
-    console.log("  Done.");
+  buildResult(status, timings, fields) {
+    return {
+      status,
+      name: this.stem,
+      input: this.imgfile,
+      output: this.outputMat
+        ? {
+            file: this.outfile ?? null,
+            width: this.outputMat.cols,
+            height: this.outputMat.rows,
+          }
+        : null,
+      params: null,
+      pageDims: null,
+      contourCount: 0,
+      spanCount: 0,
+      pointCount: 0,
+      initialCost: null,
+      finalCost: null,
+      mode: null,
+      fallback: false,
+      fallbackReason: null,
+      focalLength: null,
+      budgetExceeded: false,
+      orientation: this.orientation,
+      gutter: null,
+      pages: null,
+      ...fields,
+      timings,
+    };
   }
 
   async load() {
     const cv = getOpenCV();
-    this.cv2_img = await loadImageMat(this.imgfile);
+    const focalLengthSource = this.config.FOCAL_LENGTH_SOURCE;
+    if (!FOCAL_LENGTH_SOURCES.includes(focalLengthSource)) {
+      throw new Error(`Unknown focal length source: ${focalLengthSource}`);
+    }
+    let img;
+    let exif;
+    try {
+      ({ mat: img, exif } = await decodeInput(this.input, {
+        exifOrientation: this.config.EXIF_ORIENTATION,
+      }));
+    } catch (err) {
+      if (err instanceof InvalidInputError) throw err;
+      throw new InvalidInputError(
+        `Could not load ${this.basename}: ${err.message}`,
+        { cause: err }
+      );
+    }
+    if (img.empty()) {
+      img.delete();
+      throw new InvalidInputError(`${this.basename} is an empty image`);
+    }
 
-    const bgr = new cv.Mat();
-    cv.cvtColor(this.cv2_img, bgr, cv.COLOR_RGBA2BGR);
-    this.cv2_img.delete();
-    this.cv2_img = bgr;
+    // File, Buffer and ImageData inputs are RGBA; Mat inputs may already be BGR
+    if (img.channels() === 4) {
+      this.cv2_img = new cv.Mat();
+      cv.cvtColor(img, this.cv2_img, cv.COLOR_RGBA2BGR);
+      img.delete();
+    } else if (img.channels() === 1) {
+      this.cv2_img = new cv.Mat();
+      cv.cvtColor(img, this.cv2_img, cv.COLOR_GRAY2BGR);
+      img.delete();
+    } else {
+      this.cv2_img = img;
+    }
 
+    if (focalLengthSource !== "config") {
+      this.useExifFocalLength(exif, focalLengthSource === "exif");
+    }
     this.small = this.resizeToScreen();
+    if (this.config.AUTO_ORIENT) this.autoOrient();
+  }
+
+  /**
+   * Turns the image upright when its text does not run from left to right
+   * (see `detectOrientation()`), and records the turn in `orientation`.
+   */
+  autoOrient() {
+    this.orientation = detectOrientation(
+      this.cv2_img,
+      this.small,
+      this.config,
+      this.logger,
+      `${this.stem}_orientation`
+    );
+    if (this.orientation === 0) {
+      this.logger.debug("  Text is upright");
+      return;
+    }
+    this.logger.info(`  Turning ${this.orientation} degrees clockwise`);
+    const upright = rotateMat(this.cv2_img, this.orientation);
+    this.cv2_img.delete();
+    this.cv2_img = upright;
+    this.small.delete();
+    this.small = this.resizeToScreen();
+  }
+
+  /**
+   * Sets `FOCAL_LENGTH` for this image from its EXIF data, if it has a focal
+   * length.
+   * @param {Map<number, *>} exif
+   * @param {boolean} required - Throw if the EXIF data has no focal length
+   */
+  useExifFocalLength(exif, required) {
+    const fromExif = focalLengthFromExif(exif, this.imageSize());
+    if (!fromExif) {
+      if (required) {
+        throw new InvalidInputError(
+          `${this.basename} has no EXIF focal length`
+        );
+      }
+      this.logger.debug(
+        `  No EXIF focal length, using ${this.config.FOCAL_LENGTH}`
+      );
+      return;
+    }
+    this.config.FOCAL_LENGTH = fromExif.focalLength;
+    this.logger.info(
+      `  Focal length ${fromExif.focalLength.toFixed(3)} from EXIF ${
+        fromExif.tag
+      }`
+    );
   }
 
   resizeToScreen() {
     const cv = getOpenCV();
     const { rows: height, cols: width } = this.cv2_img;
-    const scl_x = width / Config.SCREEN_MAX_W;
-    const scl_y = height / Config.SCREEN_MAX_H;
+    const scl_x = width / this.config.SCREEN_MAX_W;
+    const scl_y = height / this.config.SCREEN_MAX_H;
     const scl = Math.ceil(Math.max(scl_x, scl_y));
 
     if (scl > 1.0) {
@@ -217,11 +1079,86 @@ export class WarpedImage {
     return this.cv2_img.clone();
   }
 
+  /**
+   * Sets `pagemask`, which limits text detection to the page, and
+   * `page_outline`, from which the page corners are estimated. See
+   * `PAGE_OUTLINE` and `PAGE_DETECTION`.
+   */
   calculatePageExtents() {
+    if (this.config.PAGE_OUTLINE !== null) {
+      this.logger.info("  Using the given page outline");
+      // Given for the input as loaded, before `autoOrient()`
+      const { width, height } = this.imageSize();
+      const sideways = this.orientation % 180 !== 0;
+      const outline = rotatePoints(
+        validatePageOutline(this.config.PAGE_OUTLINE),
+        this.orientation,
+        sideways ? height : width,
+        sideways ? width : height
+      );
+      this.setPageOutline(this.scaleToSmall(outline));
+      return;
+    }
+    const detection = this.config.PAGE_DETECTION;
+    if (!PAGE_DETECTIONS.includes(detection)) {
+      throw new Error(`Unknown page detection: ${detection}`);
+    }
+    if (detection === "auto") {
+      const outline = detectPageOutline(this.small, this.logger);
+      if (outline) {
+        this.logger.info(
+          `  Detected page outline with ${outline.length} corners`
+        );
+        this.setPageOutline(outline);
+        return;
+      }
+      this.logger.info("  No page outline found, using margins");
+    }
+    this.useMargins();
+  }
+
+  // Converts a polygon in full resolution pixels to pixels of `small`,
+  // clamped to the image
+  scaleToSmall(outline) {
+    const { rows: height, cols: width } = this.small;
+    const scale = width / this.cv2_img.cols;
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+    return validatePageOutline(outline).map(([x, y]) => [
+      clamp(Math.round(x * scale), width - 1),
+      clamp(Math.round(y * scale), height - 1),
+    ]);
+  }
+
+  setPageOutline(outline) {
     const cv = getOpenCV();
     const { rows: height, cols: width } = this.small;
-    const xmin = Config.PAGE_MARGIN_X;
-    const ymin = Config.PAGE_MARGIN_Y;
+    const polygon = cv.matFromArray(
+      outline.length,
+      1,
+      cv.CV_32SC2,
+      outline.flat()
+    );
+    const polygons = new cv.MatVector();
+    polygons.push_back(polygon);
+    this.pagemask = new cv.Mat.zeros(height, width, cv.CV_8UC1);
+    cv.fillPoly(this.pagemask, polygons, new cv.Scalar(255));
+    // Keep the page edge and its shadow out of text detection
+    const kernel = cv.getStructuringElement(
+      cv.MORPH_RECT,
+      new cv.Size(2 * PAGE_EDGE_INSET + 1, 2 * PAGE_EDGE_INSET + 1)
+    );
+    cv.erode(this.pagemask, this.pagemask, kernel);
+    kernel.delete();
+    polygons.delete();
+    polygon.delete();
+    this.page_outline = outline;
+  }
+
+  useMargins() {
+    const cv = getOpenCV();
+    const { rows: height, cols: width } = this.small;
+    const xmin = this.config.PAGE_MARGIN_X;
+    const ymin = this.config.PAGE_MARGIN_Y;
     const xmax = width - xmin;
     const ymax = height - ymin;
 
@@ -242,7 +1179,14 @@ export class WarpedImage {
 
   contourInfo(text = true) {
     const c_type = text;
-    const mask = new Mask(this.stem, this.small, this.pagemask, c_type);
+    const mask = new Mask(
+      this.stem,
+      this.small,
+      this.pagemask,
+      c_type,
+      this.config,
+      this.logger
+    );
     const contours = mask.contours();
     mask.destroy();
     return contours;
@@ -253,10 +1197,12 @@ export class WarpedImage {
       this.stem,
       this.small,
       this.pagemask,
-      this.contour_list
+      this.contour_list,
+      this.config,
+      this.logger
     );
     if (result.spans.length < 3) {
-      console.log(
+      this.logger.info(
         `  detecting lines because only ${result.spans.length} text spans`
       );
       this.contour_list = this.contourInfo(false); // lines
@@ -275,25 +1221,29 @@ export class WarpedImage {
       this.stem,
       this.small,
       this.pagemask,
-      this.contour_list
+      this.contour_list,
+      this.config,
+      this.logger
     );
     return newResult.spans.length > prevResult.spans.length
       ? newResult
       : prevResult;
   }
 
-  async getPageDims(corners, roughDims, params) {
+  async getPageDims(corners, roughDims, params, surface = "page") {
     // optimize page dims
     // corners[2] is Bottom-Right.
     // project(dims) should match corners[2]?
     // dims = [w, h]
 
     const dst_br = corners[2]; // [x, y]
+    const config = this.config;
     const dims = [...roughDims];
+    const projectXY = PROJECTIONS[surface];
 
     function objective(dimsLocal) {
       const pts = [dimsLocal]; // [[w, h]]
-      const proj = projectXY(pts, params); // returns [[x, y]]
+      const proj = projectXY(pts, params, config); // returns [[x, y]]
       const p = proj[0];
       return Math.pow(dst_br[0] - p[0], 2) + Math.pow(dst_br[1] - p[1], 2);
     }
@@ -304,23 +1254,88 @@ export class WarpedImage {
       alpha: 0.1,
     });
     const newDims = sol.x;
-    console.log(`  got page dims ${newDims[0]} x ${newDims[1]}`);
+    this.logger.info(`  got page dims ${newDims[0]} x ${newDims[1]}`);
     return newDims;
   }
 
-  async threshold(pageDims, params) {
+  async threshold(
+    pageDims,
+    params,
+    config = this.config,
+    name = this.stem,
+    surface = {}
+  ) {
     const remap = new RemappedImage(
-      this.stem,
+      name,
       this.cv2_img,
       this.small,
       pageDims,
-      params
+      params,
+      {
+        writeOutput: this.writeOutput,
+        config,
+        logger: this.logger,
+        source: this.imgfile ?? this.stem,
+        claims: this.outputClaims,
+        ...surface,
+      }
     );
-    await remap.process();
+    const outputMat = await remap.process();
+    if (this.outputMat && !this.outputMat.isDeleted()) this.outputMat.delete();
+    this.outputMat = outputMat;
     this.outfile = remap.threshfile;
+    this.outputMetadata = remap.metadata;
+  }
+
+  /**
+   * Encodes the dewarped output as image bytes (a Buffer in Node), using
+   * `OUTPUT_QUALITY`, `WEBP_LOSSLESS`, `OUTPUT_DPI` and `EMBED_METADATA` from
+   * the config.
+   * @param {string} [mimeType] - Defaults to the configured output format
+   *   (see `OUTPUT_FORMAT`)
+   * @returns {Promise<Uint8Array>}
+   */
+  async toBuffer(mimeType = resolveOutputFormat(this.config).mimeType) {
+    if (!this.outputMat) throw new Error("No output: call process() first");
+    const options = encodeOptions(formatFromMimeType(mimeType), this.config);
+    return encodeMat(this.outputMat, mimeType, {
+      ...options,
+      metadata: metadataFor(this.outputMetadata, mimeType, this.logger),
+    });
+  }
+
+  /**
+   * Converts the dewarped output into a PDF page sized for `OUTPUT_DPI`, for
+   * `assemblePdf()`.
+   * @returns {Promise<{ width: number, height: number, image: Object }>}
+   */
+  async toPdfPage() {
+    return createPdfPage(this.toImageData(), this.config.OUTPUT_DPI);
+  }
+
+  /**
+   * Converts the dewarped output into PDF pages, as `toPdfPage()`: one, or
+   * both pages of a spread (see `SPREAD`).
+   * @returns {Promise<Array<{ width: number, height: number, image: Object }>>}
+   */
+  async toPdfPages() {
+    if (this.pages) {
+      return Promise.all(this.pages.map((page) => page.toPdfPage()));
+    }
+    return [await this.toPdfPage()];
+  }
+
+  /**
+   * Returns the dewarped output as an `ImageData`-like RGBA object.
+   * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+   */
+  toImageData() {
+    if (!this.outputMat) throw new Error("No output: call process() first");
+    return matToImageData(this.outputMat);
   }
 
   destroy() {
+    if (this.outputMat && !this.outputMat.isDeleted()) this.outputMat.delete();
     if (this.cv2_img && !this.cv2_img.isDeleted()) this.cv2_img.delete();
     if (this.small && !this.small.isDeleted()) this.small.delete();
     if (this.pagemask && !this.pagemask.isDeleted()) this.pagemask.delete();
@@ -329,5 +1344,74 @@ export class WarpedImage {
     if (this.contour_list) {
       this.contour_list.forEach((c) => c.destroy());
     }
+    if (this.pages) {
+      this.pages.forEach((page) => page.destroy());
+    }
+  }
+}
+
+/**
+ * Dewarps an in-memory image without touching the filesystem.
+ * @param {Buffer | Blob | ImageData | cv.Mat | string} input
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name used for debug output
+ * @param {"buffer" | "imageData" | "mat"} [options.format="buffer"]
+ * @param {string} [options.mimeType] - Encoding for "buffer" output, the
+ *   configured output format by default
+ * @param {Object} [options.config] - Config overrides for this run
+ * @param {Object} [options.logger] - Logger; silent by default
+ * @param {Function} [options.onProgress] - Progress event callback
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {number} [options.timeBudget] - Wall-clock budget in milliseconds
+ * @param {"abort" | "best"} [options.budgetPolicy="abort"]
+ * @returns {Promise<Uint8Array | ImageData | cv.Mat | Array | null>} The
+ *   dewarped image, or `null` when no text was found. With `SPREAD`, a spread
+ *   split at its gutter resolves to an array with the left and the right
+ *   page. A returned Mat is owned by the caller. Other pipeline errors are
+ *   thrown as for `WarpedImage.process()`.
+ */
+export async function dewarpImage(input, options = {}) {
+  const {
+    name,
+    config,
+    logger,
+    onProgress,
+    signal,
+    timeBudget,
+    budgetPolicy,
+    format = "buffer",
+    mimeType,
+  } = options;
+  const warpedImage = new WarpedImage(input, {
+    name,
+    config,
+    logger,
+    onProgress,
+    writeOutput: false,
+  });
+  try {
+    await warpedImage.process({ signal, timeBudget, budgetPolicy });
+  } catch (err) {
+    if (err instanceof NoTextFoundError) return null;
+    throw err;
+  }
+  const output = async (image) => {
+    if (format === "mat") {
+      const mat = image.outputMat;
+      image.outputMat = null;
+      return mat;
+    }
+    if (format === "imageData") {
+      return image.toImageData();
+    }
+    return await image.toBuffer(mimeType);
+  };
+  try {
+    if (!warpedImage.pages) return await output(warpedImage);
+    const pages = [];
+    for (const page of warpedImage.pages) pages.push(await output(page));
+    return pages;
+  } finally {
+    warpedImage.destroy();
   }
 }
@@ -5,8 +5,18 @@
  * A JavaScript implementation of the page-dewarp library for automatically
  * detecting curved page boundaries, estimating 3D shape, and generating
  * flattened output images.
+ *
+ * This is the Node.js entry point: it registers the Node I/O adapter and adds
+ * the worker pool and watch-folder mode to the core API. Browsers use
+ * `src/browser.js`.
  */
 
-export { Config, updateConfig } from "./config.js";
-export { getOpenCV, loadOpenCV } from "./cv-loader.js";
-export { WarpedImage } from "./image.js";
+import { setIOAdapter } from "./io.js";
+import { nodeIO } from "./platform/node.js";
+
+setIOAdapter(nodeIO);
+
+export * from "./core.js";
+export { processBatch } from "./batch.js";
+export { loadOpenCV, nodeIO } from "./platform/node.js";
+export { watchFolder } from "./watch.js";
@@ -0,0 +1,56 @@
+/**
+ * @module io
+ * @description Pluggable image and file I/O.
+ * The pipeline itself only works on `ImageData` and `cv.Mat`. Decoding,
+ * encoding and writing files go through an I/O adapter, registered once per
+ * process (or worker) by the entry point: `src/index.js` registers `nodeIO`
+ * and `src/browser.js` registers `browserIO`.
+ */
+
+/**
+ * @typedef {Object} IOAdapter
+ * @property {(source: string | Uint8Array | ArrayBuffer | Blob) => Promise<ImageData>} decodeImage
+ *   Decodes a file path or encoded image bytes to RGBA `ImageData`
+ * @property {(imageData: ImageData, mimeType: string, options?: { quality?: number, lossless?: boolean }) => Promise<Uint8Array>} encodeImage
+ *   Encodes RGBA `ImageData` as "image/png", "image/jpeg", "image/webp" or
+ *   "image/tiff", with a `quality` (0-100) for JPEG and WebP
+ * @property {(filePath: string, data: Uint8Array | string) => Promise<void>} writeFile
+ *   Writes a file, creating its directory if needed
+ * @property {(filePath: string) => Promise<Uint8Array>} [readFile]
+ *   Reads a file. Optional; without it, the EXIF data of file path inputs is
+ *   not read
+ * @property {boolean} [appliesExifOrientation] - Whether `decodeImage` turns
+ *   JPEGs upright according to their EXIF orientation itself
+ */
+
+const ADAPTER_METHODS = ["decodeImage", "encodeImage", "writeFile"];
+
+let adapter = null;
+
+/**
+ * Registers the I/O adapter used by every pipeline run.
+ * @param {IOAdapter} io
+ * @returns {IOAdapter}
+ */
+export function setIOAdapter(io) {
+  for (const method of ADAPTER_METHODS) {
+    if (typeof io?.[method] !== "function") {
+      throw new Error(`I/O adapter is missing ${method}()`);
+    }
+  }
+  adapter = io;
+  return io;
+}
+
+/**
+ * Returns the registered I/O adapter.
+ * @returns {IOAdapter}
+ */
+export function getIOAdapter() {
+  if (!adapter) {
+    throw new Error(
+      "No I/O adapter registered: import page-dewarp-js or page-dewarp-js/browser, or call setIOAdapter()"
+    );
+  }
+  return adapter;
+}
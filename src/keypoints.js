@@ -1,11 +1,14 @@
-import { projectXY } from "./projection.js";
+import { Config } from "./config.js";
+import { projectSpreadXY, projectXY } from "./projection.js";
 
 /**
  * Builds an index mapping each keypoint to its position in the parameter vector.
  * @param {Array<number>} spanCounts
+ * @param {number} [offset=8] - Parameters before the span coordinates, see
+ *   `headerSize()`
  * @returns {Array<[number, number]>}
  */
-export function makeKeypointIndex(spanCounts) {
+export function makeKeypointIndex(spanCounts, offset = Config.CUBIC_IDX[1]) {
   const nSpans = spanCounts.length;
   const nPts = spanCounts.reduce((a, b) => a + b, 0);
 
@@ -19,13 +22,13 @@ export function makeKeypointIndex(spanCounts) {
     const count = spanCounts[i];
     const end = start + count;
     for (let k = start; k < end; k++) {
-      keypointIndex[k][1] = 8 + i; // span index in pvec
+      keypointIndex[k][1] = offset + i; // span index in pvec
     }
     start = end;
   }
 
   for (let i = 1; i <= nPts; i++) {
-    keypointIndex[i][0] = i - 1 + 8 + nSpans; // point index in pvec (xcoords)
+    keypointIndex[i][0] = i - 1 + offset + nSpans; // point index in pvec (xcoords)
   }
 
   return keypointIndex;
@@ -35,9 +38,16 @@ export function makeKeypointIndex(spanCounts) {
  * Projects all keypoints using the current parameters.
  * @param {Array<number>} pvec
  * @param {Array<[number, number]>} keypointIndex
+ * @param {Object} [config=Config]
+ * @param {"page" | "spread"} [surface="page"] - Surface model of `pvec`
  * @returns {Array<[number, number]>}
  */
-export function projectKeypoints(pvec, keypointIndex) {
+export function projectKeypoints(
+  pvec,
+  keypointIndex,
+  config = Config,
+  surface = "page"
+) {
   // pvec is flat array
   // xy_coords = pvec[keypoint_index]
   // keypointIndex tells us where to get y (from span) and x (from point)
@@ -59,5 +69,7 @@ export function projectKeypoints(pvec, keypointIndex) {
     xyCoords.push([x, y]);
   }
 
-  return projectXY(xyCoords, pvec);
+  return surface === "spread"
+    ? projectSpreadXY(xyCoords, pvec, config)
+    : projectXY(xyCoords, pvec, config);
 }
@@ -0,0 +1,39 @@
+/**
+ * @module logger
+ * @description Leveled logging for the pipeline.
+ * A logger is any object with `debug`, `info`, `warn` and `error` methods, so
+ * `console` or most application loggers can be passed in directly. Library
+ * runs default to `silentLogger`; the CLI uses a console logger.
+ */
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+function noop() {}
+
+export const silentLogger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop,
+};
+
+/**
+ * Creates a logger writing to the console, dropping messages below `level`.
+ * @param {"debug" | "info" | "warn" | "error" | "silent"} [level="info"]
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+export function createConsoleLogger(level = "info") {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  const enabled = (messageLevel) =>
+    LOG_LEVELS.indexOf(messageLevel) >= threshold;
+
+  return {
+    debug: enabled("debug") ? (...args) => console.log(...args) : noop,
+    info: enabled("info") ? (...args) => console.log(...args) : noop,
+    warn: enabled("warn") ? (...args) => console.warn(...args) : noop,
+    error: enabled("error") ? (...args) => console.error(...args) : noop,
+  };
+}
@@ -3,6 +3,7 @@ import { getContours } from "./contours.js";
 import { getOpenCV } from "./cv-loader.js";
 import { DebugMetrics } from "./debug-metrics.js";
 import { debugShow } from "./debug.js";
+import { silentLogger } from "./logger.js";
 
 /**
  * Creates a rectangular structuring element for morphological operations.
@@ -80,11 +81,20 @@ function collectMaskStats(mask, includeAllRects = false) {
  * Generates a binary text mask using adaptive thresholding and morphology.
  */
 export class Mask {
-  constructor(name, small, pagemask, text = true) {
+  constructor(
+    name,
+    small,
+    pagemask,
+    text = true,
+    config = Config,
+    logger = silentLogger
+  ) {
     this.name = name;
     this.small = small;
     this.pagemask = pagemask;
     this.text = text;
+    this.config = config;
+    this.logger = logger;
     this.value = null;
 
     this.calculate();
@@ -113,7 +123,7 @@ export class Mask {
       255,
       cv.ADAPTIVE_THRESH_MEAN_C,
       cv.THRESH_BINARY_INV,
-      Config.ADAPTIVE_WINSZ,
+      this.config.ADAPTIVE_WINSZ,
       this.text ? 25 : 7
     );
 
@@ -174,15 +184,21 @@ export class Mask {
   }
 
   async log(step, text, display) {
-    if (Config.DEBUG_LEVEL >= 3) {
+    if (this.config.DEBUG_LEVEL >= 3) {
       let s = step;
       if (!this.text) s += 0.3;
-      await debugShow(this.name, s, text, display);
+      await debugShow(this.name, s, text, display, this.config, this.logger);
     }
   }
 
   contours() {
-    return getContours(this.name, this.small, this.value);
+    return getContours(
+      this.name,
+      this.small,
+      this.value,
+      this.config,
+      this.logger
+    );
   }
 
   destroy() {
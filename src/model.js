@@ -0,0 +1,152 @@
+/**
+ * @module model
+ * @description Export and import of fitted page models.
+ * A model holds everything needed to remap an image without detection: the
+ * `params` vector (layout from `getDefaultParams`: rvec, tvec, cubic
+ * coefficients, then one y coordinate per span and one x coordinate per
+ * keypoint), `pageDims`, the focal length it was fitted with and the size of
+ * the source image. Fixed camera setups can fit once and reuse the model for
+ * consecutive captures. Models of one page of a spread have the `surface`
+ * "spread", with the spine and both pages' coefficients in `params`, and the
+ * `pageOffset` at which the page starts.
+ */
+
+import { Config } from "./config.js";
+import { headerSize, PROJECTIONS } from "./projection.js";
+
+export const MODEL_VERSION = 1;
+
+/**
+ * Builds a model from a `WarpedImage.fit()` result.
+ * @param {Object} fit - Result of `fit()`
+ * @returns {{ version: number, params: Array<number>, pageDims: [number, number], focalLength: number, imageSize: { width: number, height: number }, spanCounts: Array<number>, surface?: string, pageOffset?: number }}
+ */
+export function exportModel(fit) {
+  const spread =
+    fit.surface === "spread"
+      ? { surface: fit.surface, pageOffset: fit.pageOffset ?? 0 }
+      : {};
+  return {
+    version: MODEL_VERSION,
+    params: Array.from(fit.params),
+    pageDims: [fit.pageDims[0], fit.pageDims[1]],
+    focalLength: fit.focalLength,
+    imageSize: { width: fit.imageSize.width, height: fit.imageSize.height },
+    spanCounts: Array.from(fit.spanCounts ?? []),
+    ...spread,
+  };
+}
+
+/**
+ * Serialises a model, or a `fit()` result, to JSON.
+ * @param {Object} model
+ * @returns {string}
+ */
+export function serializeModel(model) {
+  return JSON.stringify(exportModel(model), null, 2);
+}
+
+/**
+ * Parses and validates a model from JSON text or a plain object.
+ * @param {string | Object} source
+ * @returns {Object} The model
+ */
+export function parseModel(source) {
+  const model = typeof source === "string" ? JSON.parse(source) : source;
+
+  if (!model || typeof model !== "object") {
+    throw new Error("Invalid page model: expected an object");
+  }
+  if (model.version !== MODEL_VERSION) {
+    throw new Error(`Unsupported page model version: ${model.version}`);
+  }
+  const isNumberArray = (value, minLength) =>
+    Array.isArray(value) &&
+    value.length >= minLength &&
+    value.every((v) => Number.isFinite(v));
+
+  const surface = model.surface ?? "page";
+  if (!Object.hasOwn(PROJECTIONS, surface)) {
+    throw new Error(`Invalid page model: unknown surface ${surface}`);
+  }
+  if (!isNumberArray(model.params, headerSize(surface))) {
+    throw new Error("Invalid page model: params must be a numeric array");
+  }
+  if (!isNumberArray(model.pageDims, 2) || model.pageDims.length !== 2) {
+    throw new Error("Invalid page model: pageDims must be [width, height]");
+  }
+  if (!Number.isFinite(model.focalLength) || model.focalLength <= 0) {
+    throw new Error("Invalid page model: focalLength must be positive");
+  }
+  const { width, height } = model.imageSize ?? {};
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error("Invalid page model: imageSize must have width and height");
+  }
+
+  return {
+    version: model.version,
+    params: model.params,
+    pageDims: model.pageDims,
+    focalLength: model.focalLength,
+    imageSize: { width, height },
+    spanCounts: model.spanCounts ?? [],
+    ...(surface === "spread"
+      ? { surface, pageOffset: model.pageOffset ?? 0 }
+      : {}),
+  };
+}
+
+// Index ranges of the curvature coefficients of each surface's params
+function curvatureRanges(surface, config) {
+  return surface === "spread"
+    ? [config.LEFT_CUBIC_IDX, config.RIGHT_CUBIC_IDX]
+    : [config.CUBIC_IDX];
+}
+
+/**
+ * Returns a copy of `params` with the cubic curvature coefficients taken from
+ * `model`, to warm start `optimiseParams`. The pose from solvePnP and the span
+ * coordinates are kept, as they are measured against the current detection's
+ * page corners; mixing in the model's pose raises the initial cost. For the
+ * same reason the spine of a spread is kept. The model must have been fitted
+ * to the same surface, as the parameter layouts differ.
+ * @param {Array<number>} params
+ * @param {Object} model
+ * @param {Object} [config=Config]
+ * @param {string} [surface="page"] - Surface of `params`
+ * @returns {Array<number>}
+ * @throws {Error} If the model was fitted to another surface
+ */
+export function warmStartParams(
+  params,
+  model,
+  config = Config,
+  surface = "page"
+) {
+  const modelSurface = model.surface ?? "page";
+  if (modelSurface !== surface) {
+    throw new Error(
+      `Cannot warm start a ${surface} fit from a ${modelSurface} model`
+    );
+  }
+  const result = Array.from(params);
+  for (const [start, end] of curvatureRanges(surface, config)) {
+    for (let i = start; i < end; i++) result[i] = model.params[i];
+  }
+  return result;
+}
+
+/**
+ * Checks whether an image has the aspect ratio a model was fitted on. Params
+ * are in normalized coordinates, so models carry over between resolutions
+ * but not between aspect ratios.
+ * @param {Object} model
+ * @param {{ width: number, height: number }} imageSize
+ * @param {number} [tolerance=0.01] - Allowed relative difference
+ * @returns {boolean}
+ */
+export function matchesImageSize(model, imageSize, tolerance = 0.01) {
+  const modelAspect = model.imageSize.width / model.imageSize.height;
+  const imageAspect = imageSize.width / imageSize.height;
+  return Math.abs(imageAspect / modelAspect - 1) <= tolerance;
+}
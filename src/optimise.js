@@ -3,6 +3,8 @@ import { getOpenCV } from "./cv-loader.js";
 import { DebugMetrics } from "./debug-metrics.js";
 import { debugShow } from "./debug.js";
 import { makeKeypointIndex, projectKeypoints } from "./keypoints.js";
+import { silentLogger } from "./logger.js";
+import { headerSize } from "./projection.js";
 import { norm2pix } from "./utils.js";
 
 // --- Optimization Helpers (Coordinate Descent / Golden Section) ---
@@ -247,17 +249,15 @@ function powellIteration(
   return { fx, converged };
 }
 
-/**
- * Implements Powell's method (derivative-free optimization using sequential 1D line searches).
- * @param {Function} objective
- * @param {Array<number>} initialParams
- * @param {Object} options
- * @returns {{ x: Array<number>, fx: number }}
- */
-export function minimize(objective, initialParams, options = {}) {
+// Runs Powell's method, yielding after every iteration so that the caller
+// can hand control back to the event loop; returns the result
+function* powellIterations(objective, initialParams, options) {
   const maxIter = options.maxIter ?? Config.OPTIM_MAX_ITER;
   const tol = options.tol ?? Config.OPTIM_TOL;
   const log = options.log ?? false;
+  const logger = options.logger ?? console;
+  const onIteration = options.onIteration ?? null;
+  const shouldStop = options.shouldStop ?? null;
 
   const x = Float64Array.from(initialParams);
   const n = x.length;
@@ -269,7 +269,14 @@ export function minimize(objective, initialParams, options = {}) {
   const pt = new Float64Array(n);
   const delta = new Float64Array(n);
 
+  let iterations = 0;
+  let stopped = false;
   for (let iter = 1; iter <= maxIter; iter++) {
+    if (shouldStop && shouldStop()) {
+      stopped = true;
+      break;
+    }
+
     const { fx: fxNew, converged } = powellIteration(
       x,
       directions,
@@ -281,17 +288,58 @@ export function minimize(objective, initialParams, options = {}) {
       delta
     );
     fx = fxNew;
+    iterations = iter;
 
     if (log) {
-      console.log(`  iter ${iter}: loss ${fx.toFixed(4)}`);
+      logger.debug(`  iter ${iter}: loss ${fx.toFixed(4)}`);
+    }
+    if (onIteration) {
+      onIteration(iter, fx);
     }
 
     if (converged) {
       break;
     }
+    yield;
   }
 
-  return { x: Array.from(x), fx };
+  return { x: Array.from(x), fx, iterations, stopped };
+}
+
+/**
+ * Implements Powell's method (derivative-free optimization using sequential 1D line searches).
+ * @param {Function} objective
+ * @param {Array<number>} initialParams
+ * @param {Object} options - `maxIter`, `tol`, `log` to report the loss of
+ *   each iteration through `logger` (defaults to the console) at debug level,
+ *   `onIteration(iteration, loss)` called after every iteration, and
+ *   `shouldStop()` polled before every iteration to end early with the best
+ *   parameters found so far
+ * @returns {{ x: Array<number>, fx: number, iterations: number, stopped: boolean }}
+ */
+export function minimize(objective, initialParams, options = {}) {
+  const iterations = powellIterations(objective, initialParams, options);
+  let step = iterations.next();
+  while (!step.done) step = iterations.next();
+  return step.value;
+}
+
+/**
+ * Like `minimize()`, but yields to the event loop between iterations, so
+ * that timers and `AbortSignal`s can fire and `shouldStop()` sees them.
+ * @param {Function} objective
+ * @param {Array<number>} initialParams
+ * @param {Object} options - As for `minimize()`
+ * @returns {Promise<{ x: Array<number>, fx: number, iterations: number, stopped: boolean }>}
+ */
+export async function minimizeAsync(objective, initialParams, options = {}) {
+  const iterations = powellIterations(objective, initialParams, options);
+  let step = iterations.next();
+  while (!step.done) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    step = iterations.next();
+  }
+  return step.value;
 }
 
 /**
@@ -301,19 +349,45 @@ export function minimize(objective, initialParams, options = {}) {
  * @param {Array<[number, number]>} dstpoints
  * @param {Array<number>} spanCounts
  * @param {Array<number>} params
- * @returns {Promise<Array<number>>}
+ * @param {Object} [config=Config]
+ * @param {Object} [logger=silentLogger]
+ * @param {Object} [options] - `onIteration(iteration, loss)` progress callback
+ *   and `shouldStop()` early-stop check, passed on to `minimize()`, the
+ *   `surface` model of `params`: "page" (default) or "spread", which fits
+ *   both pages of a spread jointly (see `getDefaultParams()`), and for
+ *   spreads the `spineBounds` the spine is kept within
+ * @returns {Promise<{ params: Array<number>, initialCost: number, finalCost: number, iterations: number, stopped: boolean }>}
  */
 export async function optimiseParams(
   name,
   small,
   dstpoints,
   spanCounts,
-  params
+  params,
+  config = Config,
+  logger = silentLogger,
+  options = {}
 ) {
-  const keypointIndex = makeKeypointIndex(spanCounts);
+  const surface = options.surface ?? "page";
+  const keypointIndex = makeKeypointIndex(
+    spanCounts,
+    headerSize(surface, config)
+  );
+
+  // The spine is only weakly constrained by the text, so the objective sees
+  // it clamped to its bounds and moving it further gains nothing
+  const spineIdx = config.SPINE_IDX[0];
+  const bound = (p) => {
+    if (!options.spineBounds) return p;
+    const [min, max] = options.spineBounds;
+    if (p[spineIdx] >= min && p[spineIdx] <= max) return p;
+    const bounded = Array.from(p);
+    bounded[spineIdx] = Math.min(Math.max(p[spineIdx], min), max);
+    return bounded;
+  };
 
   function objective(p) {
-    const ppts = projectKeypoints(p, keypointIndex);
+    const ppts = projectKeypoints(bound(p), keypointIndex, config, surface);
     let sumSq = 0;
     for (let i = 0; i < dstpoints.length; i++) {
       const dx = dstpoints[i][0] - ppts[i][0];
@@ -324,59 +398,80 @@ export async function optimiseParams(
   }
 
   const initialLoss = objective(params);
-  console.log(`  initial objective is ${initialLoss}`);
+  logger.info(`  initial objective is ${initialLoss}`);
 
   DebugMetrics.add("initial_params", Array.from(params));
   DebugMetrics.add("initial_cost", initialLoss);
 
-  if (Config.DEBUG_LEVEL >= 1) {
-    const projpts = projectKeypoints(params, keypointIndex);
+  if (config.DEBUG_LEVEL >= 1) {
+    const projpts = projectKeypoints(params, keypointIndex, config, surface);
     await drawCorrespondences(
       name,
       small,
       dstpoints,
       projpts,
-      "keypoints_before"
+      "keypoints_before",
+      config,
+      logger
     );
   }
 
-  console.log(
+  logger.info(
     `  optimizing ${params.length} parameters using Powell's method...`
   );
 
   const start = Date.now();
-  const solution = minimize(objective, params, {
+  const solution = await minimizeAsync(objective, params, {
     log: true,
-    maxIter: Config.OPTIM_MAX_ITER,
-    tol: Config.OPTIM_TOL,
+    logger,
+    onIteration: options.onIteration,
+    shouldStop: options.shouldStop,
+    maxIter: config.OPTIM_MAX_ITER,
+    tol: config.OPTIM_TOL,
   });
   const end = Date.now();
 
   const optimizationTime = (end - start) / 1000;
-  console.log(`  optimization took ${optimizationTime} sec.`);
-  console.log(`  final objective is ${solution.fx}`);
+  logger.info(`  optimization took ${optimizationTime} sec.`);
+  logger.info(`  final objective is ${solution.fx}`);
 
-  const newParams = solution.x;
+  const newParams = bound(solution.x);
 
   DebugMetrics.add("final_params", newParams);
   DebugMetrics.add("final_cost", solution.fx);
   DebugMetrics.add("optimization_time", optimizationTime);
 
-  if (Config.DEBUG_LEVEL >= 1) {
-    const projpts = projectKeypoints(newParams, keypointIndex);
+  if (config.DEBUG_LEVEL >= 1) {
+    const projpts = projectKeypoints(newParams, keypointIndex, config, surface);
     await drawCorrespondences(
       name,
       small,
       dstpoints,
       projpts,
-      "keypoints_after"
+      "keypoints_after",
+      config,
+      logger
     );
   }
 
-  return newParams;
+  return {
+    params: newParams,
+    initialCost: initialLoss,
+    finalCost: solution.fx,
+    iterations: solution.iterations,
+    stopped: solution.stopped,
+  };
 }
 
-async function drawCorrespondences(name, small, dstpoints, projpts, suffix) {
+async function drawCorrespondences(
+  name,
+  small,
+  dstpoints,
+  projpts,
+  suffix,
+  config,
+  logger
+) {
   const cv = getOpenCV();
   const display = small.clone();
 
@@ -415,6 +510,6 @@ async function drawCorrespondences(name, small, dstpoints, projpts, suffix) {
     );
   }
 
-  await debugShow(name, 4, suffix, display);
+  await debugShow(name, 4, suffix, display, config, logger);
   display.delete();
 }
@@ -0,0 +1,181 @@
+/**
+ * @module orientation
+ * @description Detects photos taken sideways or upside down, which the rest
+ * of the pipeline cannot handle: it assumes lines of text run from left to
+ * right. Text lines are only accepted as contours when they are wider than
+ * tall, so a sideways photo has far more text when turned by 90 degrees.
+ * Whether the upright candidate is upside down is told from the print within
+ * each line: in Latin scripts ascenders (b, d, h, capitals and digits) are
+ * much more common than descenders (g, p, y), so more ink lies above the
+ * x-height band than below it.
+ */
+
+import { Config } from "./config.js";
+import { getOpenCV } from "./cv-loader.js";
+import { silentLogger } from "./logger.js";
+import { Mask } from "./mask.js";
+
+// How many times more text a turned image must show to count as sideways
+const SIDEWAYS_RATIO = 1.5;
+// Ink balance above the x-height band below which the text is upside down;
+// weaker balances are left as they are
+const MIN_ASCENT = 0.05;
+// Rows of a line's ink profile at least this share of its peak are the
+// x-height band
+const CORE_FRACTION = 0.5;
+
+const ROTATE_CODES = {
+  90: "ROTATE_90_CLOCKWISE",
+  180: "ROTATE_180",
+  270: "ROTATE_90_COUNTERCLOCKWISE",
+};
+
+/**
+ * Turns an image clockwise by a multiple of 90 degrees.
+ * @param {cv.Mat} mat
+ * @param {0 | 90 | 180 | 270} rotation - Degrees clockwise
+ * @returns {cv.Mat} A new Mat, owned by the caller
+ */
+export function rotateMat(mat, rotation) {
+  const cv = getOpenCV();
+  if (rotation === 0) return mat.clone();
+  const rotated = new cv.Mat();
+  cv.rotate(mat, rotated, cv[ROTATE_CODES[rotation]]);
+  return rotated;
+}
+
+/**
+ * Moves points of an image to where they are after `rotateMat()`.
+ * @param {Array<[number, number]>} points
+ * @param {0 | 90 | 180 | 270} rotation - Degrees clockwise
+ * @param {number} width - Width of the image before rotation
+ * @param {number} height - Height of the image before rotation
+ * @returns {Array<[number, number]>}
+ */
+export function rotatePoints(points, rotation, width, height) {
+  const rotate = {
+    0: ([x, y]) => [x, y],
+    90: ([x, y]) => [height - 1 - y, x],
+    180: ([x, y]) => [width - 1 - x, height - 1 - y],
+    270: ([x, y]) => [y, width - 1 - x],
+  }[rotation];
+  return points.map(rotate);
+}
+
+// Bounding rects of the text line contours of the whole image
+function textLines(name, small, config, logger) {
+  const cv = getOpenCV();
+  const pagemask = new cv.Mat(
+    small.rows,
+    small.cols,
+    cv.CV_8UC1,
+    new cv.Scalar(255)
+  );
+  const mask = new Mask(name, small, pagemask, true, config, logger);
+  const contours = mask.contours();
+  mask.destroy();
+  pagemask.delete();
+  const rects = contours.map(({ rect }) => rect);
+  contours.forEach((c) => c.destroy());
+  return rects;
+}
+
+const totalWidth = (rects) => rects.reduce((sum, { width }) => sum + width, 0);
+
+// Share of a line's ink outside the x-height band that lies above it, from
+// -1 (all below) to 1 (all above), or null for lines without ink
+function lineAscent(gray, rect) {
+  const cv = getOpenCV();
+  const pad = Math.round(rect.height / 2);
+  const top = Math.max(rect.y - pad, 0);
+  const bottom = Math.min(rect.y + rect.height + pad, gray.rows);
+  const roi = gray.roi(new cv.Rect(rect.x, top, rect.width, bottom - top));
+  const ink = new cv.Mat();
+  cv.threshold(roi, ink, 0, 1, cv.THRESH_BINARY_INV | cv.THRESH_OTSU);
+  roi.delete();
+
+  const profile = [];
+  for (let y = 0; y < ink.rows; y++) {
+    let sum = 0;
+    for (let x = 0; x < ink.cols; x++) sum += ink.data[y * ink.cols + x];
+    profile.push(sum);
+  }
+  ink.delete();
+
+  const peak = Math.max(...profile);
+  const core = profile
+    .map((sum, y) => (sum >= CORE_FRACTION * peak ? y : -1))
+    .filter((y) => y >= 0);
+  if (peak === 0) return null;
+  const sumOf = (rows) => rows.reduce((sum, value) => sum + value, 0);
+  const above = sumOf(profile.slice(0, core[0]));
+  const below = sumOf(profile.slice(core[core.length - 1] + 1));
+  return above + below > 0 ? (above - below) / (above + below) : null;
+}
+
+// Mean ascent of the text lines, weighted by their width
+function ascent(gray, rects, scale) {
+  let weighted = 0;
+  let weights = 0;
+  for (const rect of rects) {
+    const full = {
+      x: Math.round(rect.x * scale),
+      y: Math.round(rect.y * scale),
+      width: Math.min(
+        Math.round(rect.width * scale),
+        gray.cols - Math.round(rect.x * scale)
+      ),
+      height: Math.round(rect.height * scale),
+    };
+    const value = full.width > 0 ? lineAscent(gray, full) : null;
+    if (value !== null) {
+      weighted += rect.width * value;
+      weights += rect.width;
+    }
+  }
+  return weights > 0 ? weighted / weights : 0;
+}
+
+/**
+ * Detects how far a photo of a page must be turned for its text to run from
+ * left to right.
+ * @param {cv.Mat} img - Full resolution BGR image
+ * @param {cv.Mat} small - `img` downsampled
+ * @param {Object} [config=Config]
+ * @param {Object} [logger=silentLogger]
+ * @param {string} [name="orientation"] - Name for debug output
+ * @returns {0 | 90 | 180 | 270} Degrees clockwise
+ */
+export function detectOrientation(
+  img,
+  small,
+  config = Config,
+  logger = silentLogger,
+  name = "orientation"
+) {
+  const cv = getOpenCV();
+  const upright = textLines(name, small, config, logger);
+  const turnedSmall = rotateMat(small, 90);
+  const turned = textLines(name, turnedSmall, config, logger);
+  turnedSmall.delete();
+
+  const sideways = totalWidth(turned) > SIDEWAYS_RATIO * totalWidth(upright);
+  const rotation = sideways ? 90 : 0;
+  const gray = new cv.Mat();
+  cv.cvtColor(img, gray, cv.COLOR_BGR2GRAY);
+  const turnedGray = rotateMat(gray, rotation);
+  gray.delete();
+  const balance = ascent(
+    turnedGray,
+    sideways ? turned : upright,
+    img.cols / small.cols
+  );
+  turnedGray.delete();
+
+  logger.debug(
+    `  text width ${totalWidth(upright)} as is, ${totalWidth(
+      turned
+    )} turned; ascent ${balance.toFixed(3)}`
+  );
+  return balance < -MIN_ASCENT ? rotation + 180 : rotation;
+}
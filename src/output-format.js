@@ -0,0 +1,88 @@
+/**
+ * @module output-format
+ * @description Output image formats.
+ * The format comes from `OUTPUT_FORMAT`, `CONVERT_TO_PDF` or a literal
+ * extension in `OUTPUT_TEMPLATE` such as `{stem}.jpg`, and defaults to PNG.
+ * Encoder options come from `OUTPUT_QUALITY`, `WEBP_LOSSLESS` and
+ * `OUTPUT_DPI`.
+ */
+
+import { parsePath } from "./path-utils.js";
+
+export const OUTPUT_FORMATS = {
+  png: { mimeType: "image/png", ext: "png" },
+  jpeg: { mimeType: "image/jpeg", ext: "jpg" },
+  webp: { mimeType: "image/webp", ext: "webp" },
+  tiff: { mimeType: "image/tiff", ext: "tif" },
+  pdf: { mimeType: "application/pdf", ext: "pdf" },
+};
+
+const FORMAT_ALIASES = { jpg: "jpeg", tif: "tiff" };
+
+function normalizeFormat(name) {
+  const format = FORMAT_ALIASES[name.toLowerCase()] ?? name.toLowerCase();
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)
+    ? format
+    : null;
+}
+
+/**
+ * Returns the format for a file name from its extension.
+ * @param {string} filePath
+ * @returns {"png" | "jpeg" | "webp" | "tiff" | "pdf" | null} null for
+ *   unknown extensions
+ */
+export function formatFromPath(filePath) {
+  const { ext } = parsePath(filePath);
+  return ext ? normalizeFormat(ext.slice(1)) : null;
+}
+
+/**
+ * Returns the format for a MIME type such as "image/jpeg".
+ * @param {string} mimeType
+ * @returns {"png" | "jpeg" | "webp" | "tiff" | "pdf" | null}
+ */
+export function formatFromMimeType(mimeType) {
+  const formats = Object.keys(OUTPUT_FORMATS);
+  return formats.find((f) => OUTPUT_FORMATS[f].mimeType === mimeType) ?? null;
+}
+
+/**
+ * Picks the output format for a config.
+ * @param {Object} config
+ * @returns {{ format: string, mimeType: string, ext: string }}
+ */
+export function resolveOutputFormat(config) {
+  const fromTemplate = formatFromPath(config.OUTPUT_TEMPLATE);
+  const requested =
+    config.OUTPUT_FORMAT || (config.CONVERT_TO_PDF ? "pdf" : null);
+  let format = fromTemplate ?? "png";
+  if (requested) {
+    format = normalizeFormat(requested);
+    if (format === null) {
+      throw new Error(`Unknown output format: ${requested}`);
+    }
+    if (fromTemplate !== null && fromTemplate !== format) {
+      throw new Error(
+        `Output format ${format} does not match the extension of output template ${config.OUTPUT_TEMPLATE}`
+      );
+    }
+  }
+  return { format, ...OUTPUT_FORMATS[format] };
+}
+
+/**
+ * Returns the encoder options for a format: `dpi` for all formats,
+ * `quality` (0-100) for JPEG and WebP and `lossless` for WebP.
+ * @param {string} format
+ * @param {Object} config
+ * @returns {Object}
+ */
+export function encodeOptions(format, config) {
+  const options = { dpi: config.OUTPUT_DPI };
+  if (format === "jpeg" || format === "webp") {
+    options.quality = config.OUTPUT_QUALITY;
+  }
+  if (format === "webp") options.lossless = config.WEBP_LOSSLESS;
+  return options;
+}
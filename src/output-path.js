@@ -0,0 +1,114 @@
+/**
+ * @module output-path
+ * @description Output file naming.
+ * Output names come from the `OUTPUT_TEMPLATE` config key, e.g.
+ * `{stem}_{variant}.{ext}`, inside `OUTPUT_DIR`. Within one run, paths are
+ * claimed per input so that two inputs with the same stem never overwrite
+ * each other's output.
+ */
+
+import { joinPath, parsePath, resolvePath } from "./path-utils.js";
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Fills in an output filename template.
+ * @param {string} template - e.g. "{stem}_{variant}.{ext}"
+ * @param {{ stem: string, variant: string, ext: string }} fields
+ * @returns {string}
+ */
+export function formatOutputName(template, fields) {
+  return template.replace(PLACEHOLDER, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      throw new Error(`Unknown placeholder ${match} in output template`);
+    }
+    return String(fields[key]);
+  });
+}
+
+/**
+ * Returns the `{variant}` of the output: "color" with `COLOR_OUTPUT`, "gray"
+ * with `NO_BINARY` and "thresh" for the thresholded page.
+ * @param {Object} config
+ * @returns {string}
+ */
+export function outputVariant(config) {
+  if (config.COLOR_OUTPUT) return "color";
+  return config.NO_BINARY ? "gray" : "thresh";
+}
+
+/**
+ * Returns the output path for an image, from `OUTPUT_DIR` and
+ * `OUTPUT_TEMPLATE`.
+ * @param {Object} config
+ * @param {{ stem: string, variant: string, ext: string }} fields
+ * @returns {string}
+ */
+export function resolveOutputPath(config, fields) {
+  return joinPath(
+    config.OUTPUT_DIR,
+    formatOutputName(config.OUTPUT_TEMPLATE, fields)
+  );
+}
+
+/**
+ * Creates an empty set of output path claims, shared by the inputs of one
+ * run (see `claimOutputPath()`).
+ * @returns {Map<string, string>} Claimed paths and their owners
+ */
+export function createOutputClaims() {
+  return new Map();
+}
+
+/**
+ * Reserves an output path for `owner` (usually the input file path) in
+ * `claims`. If another owner already holds it, a numbered path such as
+ * `page_thresh_2.png` is returned instead.
+ * @param {string} filePath
+ * @param {string} owner
+ * @param {Map<string, string>} claims - From `createOutputClaims()`
+ * @returns {string} The path to write to
+ */
+export function claimOutputPath(filePath, owner, claims) {
+  const { dir, name, ext } = parsePath(filePath);
+  let candidate = filePath;
+  for (let n = 2; ; n++) {
+    const holder = claims.get(resolvePath(candidate));
+    if (holder === undefined || holder === owner) break;
+    candidate = joinPath(dir, `${name}_${n}${ext}`);
+  }
+  claims.set(resolvePath(candidate), owner);
+  return candidate;
+}
+
+/**
+ * Picks an output name for every input file. Files whose stems clash with
+ * another input from a different folder are prefixed with their parent
+ * folder name (`vol1_page001`), and numbered if that is still ambiguous.
+ * @param {Array<string>} files
+ * @returns {Array<string>}
+ */
+export function uniqueOutputNames(files) {
+  const resolved = files.map((file) => resolvePath(file));
+  const stems = files.map((file) => parsePath(file).name);
+
+  const names = files.map((file, i) => {
+    const clashes = resolved.some(
+      (other, j) => stems[j] === stems[i] && other !== resolved[i]
+    );
+    if (!clashes) return stems[i];
+    return `${parsePath(parsePath(resolved[i]).dir).base}_${stems[i]}`;
+  });
+
+  const owners = new Map();
+  return names.map((name, i) => {
+    let candidate = name;
+    for (let n = 2; ; n++) {
+      const owner = owners.get(candidate);
+      if (owner === undefined || owner === resolved[i]) break;
+      candidate = `${name}_${n}`;
+    }
+    owners.set(candidate, resolved[i]);
+    return candidate;
+  });
+}
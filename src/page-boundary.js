@@ -0,0 +1,286 @@
+/**
+ * @module page-boundary
+ * @description Finds the outline of the page in the downsampled image.
+ * With the print removed, the brightness of paper changes only gradually, so
+ * the page is grown from the image centre until it meets an edge or dark
+ * background. The result is only trusted where edges confirm its outline: a
+ * boundary without an edge is usually a shadow across the page. Straight
+ * edged pages give a quadrilateral; curved or partly hidden pages keep the
+ * shape of their convex hull. Outlines known in advance can be parsed with
+ * `parsePageOutline()`.
+ */
+
+import { getOpenCV } from "./cv-loader.js";
+import { silentLogger } from "./logger.js";
+
+// Largest grey level step between neighbouring pixels of the page
+const FILL_STEP = 2;
+// Pixels darker than this share of the Otsu threshold are background
+const DARK_FRACTION = 0.75;
+// Share of the image the page must cover to be trusted
+const MIN_PAGE_AREA = 0.2;
+// Pages covering more of the image than this fill the frame, and are better
+// served by the margins
+const MAX_PAGE_AREA = 0.95;
+// Share of the page boundary, away from the image border, that must lie on
+// edges
+const MIN_EDGE_SUPPORT = 0.6;
+// Boundary pixels this close to the image border are where the page leaves
+// the frame, and have no edge to confirm them
+const BORDER = 3;
+// Tolerance for straight page edges, as a share of the outline's perimeter
+const QUAD_EPSILON = 0.02;
+// Smaller tolerance that keeps the shape of curved outlines
+const CURVE_EPSILON = 0.005;
+
+function oddSize(size) {
+  return Math.max(3, Math.round(size) | 1);
+}
+
+/**
+ * Grey levels with the (dark) print closed over and noise smoothed out.
+ * @param {cv.Mat} small - Downsampled BGR image
+ * @returns {cv.Mat} The caller must delete it
+ */
+export function removePrint(small) {
+  const cv = getOpenCV();
+  const gray = new cv.Mat();
+  cv.cvtColor(small, gray, cv.COLOR_BGR2GRAY);
+  // Lines of print are a small fraction of the image across
+  const size = oddSize(Math.max(small.rows, small.cols) / 40);
+  const kernel = cv.getStructuringElement(
+    cv.MORPH_RECT,
+    new cv.Size(size, size)
+  );
+  cv.morphologyEx(gray, gray, cv.MORPH_CLOSE, kernel);
+  cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+  kernel.delete();
+  return gray;
+}
+
+function findEdges(gray) {
+  const cv = getOpenCV();
+  const edges = new cv.Mat();
+  cv.Canny(gray, edges, 30, 90);
+  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+  cv.dilate(edges, edges, kernel);
+  kernel.delete();
+  return edges;
+}
+
+// Grows the page from the image centre through pixels that change gradually,
+// as lighting does across paper, stopping at edges and dark background
+function growPage(gray, edges) {
+  const cv = getOpenCV();
+  const otsu = new cv.Mat();
+  const threshold = cv.threshold(
+    gray,
+    otsu,
+    0,
+    255,
+    cv.THRESH_BINARY | cv.THRESH_OTSU
+  );
+  otsu.delete();
+  const barriers = new cv.Mat();
+  cv.threshold(
+    gray,
+    barriers,
+    DARK_FRACTION * threshold,
+    255,
+    cv.THRESH_BINARY_INV
+  );
+  cv.bitwise_or(barriers, edges, barriers);
+
+  // floodFill's mask has a one pixel frame and does not fill non-zero pixels
+  const mask = cv.Mat.zeros(gray.rows + 2, gray.cols + 2, cv.CV_8UC1);
+  const inner = mask.roi(new cv.Rect(1, 1, gray.cols, gray.rows));
+  cv.threshold(barriers, inner, 0, 1, cv.THRESH_BINARY);
+  barriers.delete();
+  const rect = new cv.Rect();
+  cv.floodFill(
+    gray,
+    mask,
+    new cv.Point(gray.cols >> 1, gray.rows >> 1),
+    new cv.Scalar(255),
+    rect,
+    new cv.Scalar(FILL_STEP),
+    new cv.Scalar(FILL_STEP),
+    4 | cv.FLOODFILL_MASK_ONLY | (255 << 8)
+  );
+  const region = new cv.Mat();
+  cv.threshold(inner, region, 254, 255, cv.THRESH_BINARY);
+  inner.delete();
+  mask.delete();
+  return region;
+}
+
+function largestContour(mask) {
+  const cv = getOpenCV();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  cv.findContours(
+    mask,
+    contours,
+    hierarchy,
+    cv.RETR_EXTERNAL,
+    cv.CHAIN_APPROX_SIMPLE
+  );
+  let best = null;
+  let bestArea = 0;
+  for (let i = 0; i < contours.size(); i++) {
+    const contour = contours.get(i);
+    const area = cv.contourArea(contour);
+    if (area > bestArea) {
+      if (best) best.delete();
+      best = contour;
+      bestArea = area;
+    } else {
+      contour.delete();
+    }
+  }
+  contours.delete();
+  hierarchy.delete();
+  return best;
+}
+
+function approximate(points, epsilon) {
+  const cv = getOpenCV();
+  const approx = new cv.Mat();
+  cv.approxPolyDP(points, approx, epsilon * cv.arcLength(points, true), true);
+  const outline = [];
+  for (let i = 0; i < approx.rows; i++) {
+    outline.push([approx.data32S[2 * i], approx.data32S[2 * i + 1]]);
+  }
+  approx.delete();
+  return outline;
+}
+
+// Share of the region's boundary inside the frame that lies on edges, null
+// when the whole boundary runs along the image border
+function edgeSupport(contour, edges) {
+  const cv = getOpenCV();
+  const drawn = cv.Mat.zeros(edges.rows, edges.cols, cv.CV_8UC1);
+  const contours = new cv.MatVector();
+  contours.push_back(contour);
+  cv.drawContours(drawn, contours, 0, new cv.Scalar(255));
+  contours.delete();
+  const inner = new cv.Rect(
+    BORDER,
+    BORDER,
+    edges.cols - 2 * BORDER,
+    edges.rows - 2 * BORDER
+  );
+  const inside = drawn.roi(inner);
+  const innerEdges = edges.roi(inner);
+  const total = cv.countNonZero(inside);
+  const supported = new cv.Mat();
+  cv.bitwise_and(inside, innerEdges, supported);
+  const support = total > 0 ? cv.countNonZero(supported) / total : null;
+  supported.delete();
+  innerEdges.delete();
+  inside.delete();
+  drawn.delete();
+  return support;
+}
+
+/**
+ * Detects the page in an image.
+ * @param {cv.Mat} small - Downsampled BGR image
+ * @param {Object} [logger=silentLogger]
+ * @returns {Array<[number, number]> | null} The page outline in pixels of
+ *   `small`, or null when no page was found or it fills the image
+ */
+export function detectPageOutline(small, logger = silentLogger) {
+  const cv = getOpenCV();
+  const gray = removePrint(small);
+  const edges = findEdges(gray);
+  const region = growPage(gray, edges);
+  gray.delete();
+  const contour = largestContour(region);
+  region.delete();
+  if (!contour) {
+    edges.delete();
+    return null;
+  }
+
+  // The region stops short of the edges that bound it
+  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(7, 7));
+  cv.dilate(edges, edges, kernel);
+  kernel.delete();
+  const support = edgeSupport(contour, edges);
+  edges.delete();
+
+  const hull = new cv.Mat();
+  cv.convexHull(contour, hull);
+  contour.delete();
+  const share = cv.contourArea(hull) / (small.rows * small.cols);
+  let outline = approximate(hull, QUAD_EPSILON);
+  if (outline.length !== 4) outline = approximate(hull, CURVE_EPSILON);
+  hull.delete();
+
+  logger.debug(
+    `  page region covers ${(share * 100).toFixed(1)}% of the image, ${
+      support === null ? "none" : `${(support * 100).toFixed(1)}%`
+    } of its boundary on edges`
+  );
+  if (share < MIN_PAGE_AREA || share > MAX_PAGE_AREA || support === null) {
+    return null;
+  }
+  return support >= MIN_EDGE_SUPPORT ? outline : null;
+}
+
+/**
+ * Checks that a page outline is a polygon of at least three `[x, y]` points.
+ * @param {*} outline
+ * @returns {Array<[number, number]>} `outline`
+ * @throws {Error} If it is not
+ */
+export function validatePageOutline(outline) {
+  const valid =
+    Array.isArray(outline) &&
+    outline.length >= 3 &&
+    outline.every(
+      (point) =>
+        Array.isArray(point) &&
+        point.length === 2 &&
+        point.every(Number.isFinite)
+    );
+  if (!valid) {
+    throw new Error(
+      "A page outline must be a polygon of at least three [x, y] points"
+    );
+  }
+  return outline;
+}
+
+/**
+ * Parses a page outline given as JSON, e.g. `[[10, 20], [900, 15], ...]`, or
+ * as a list of coordinates, e.g. `10,20 900,15 ...` (any mix of commas and
+ * whitespace).
+ * @param {string} text
+ * @returns {Array<[number, number]>}
+ * @throws {Error} If `text` is not a polygon of at least three points
+ */
+export function parsePageOutline(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[")) {
+    let outline;
+    try {
+      outline = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`Invalid page outline JSON: ${err.message}`, {
+        cause: err,
+      });
+    }
+    return validatePageOutline(outline);
+  }
+  const values = trimmed.split(/[\s,]+/).map(Number);
+  if (values.length % 2 !== 0) {
+    throw new Error("A page outline needs an even number of coordinates");
+  }
+  const outline = [];
+  for (let i = 0; i < values.length; i += 2) {
+    outline.push([values[i], values[i + 1]]);
+  }
+  return validatePageOutline(outline);
+}
@@ -0,0 +1,74 @@
+/**
+ * @module path-utils
+ * @description File path helpers without Node's `path` module, so that the
+ * core pipeline also runs in browsers. Both `/` and `\` are accepted as
+ * separators; joined paths use `/`, which Node also accepts on Windows.
+ */
+
+const SEPARATOR = /[\\/]+/;
+
+function isAbsolutePath(filePath) {
+  return /^([A-Za-z]:)?[\\/]/.test(filePath);
+}
+
+/**
+ * Removes `.` segments, repeated separators and resolvable `..` segments.
+ * @param {string} filePath
+ * @returns {string} The normalized path, or "." for an empty relative path
+ */
+export function normalizePath(filePath) {
+  const absolute = isAbsolutePath(filePath);
+  const segments = [];
+  for (const segment of filePath.split(SEPARATOR)) {
+    if (segment === "" || segment === ".") continue;
+    if (
+      segment === ".." &&
+      segments.length > 0 &&
+      segments[segments.length - 1] !== ".."
+    ) {
+      segments.pop();
+    } else if (segment !== ".." || !absolute) {
+      segments.push(segment);
+    }
+  }
+  const joined = segments.join("/");
+  if (!absolute) return joined || ".";
+  // Windows drive paths keep their drive letter as the first segment
+  return /^[A-Za-z]:/.test(filePath) ? joined : `/${joined}`;
+}
+
+/**
+ * Joins path segments and normalizes the result.
+ * @param {...string} segments
+ * @returns {string}
+ */
+export function joinPath(...segments) {
+  return normalizePath(segments.filter((s) => s !== "").join("/"));
+}
+
+/**
+ * Resolves a path against the working directory (`/` outside Node).
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function resolvePath(filePath) {
+  if (isAbsolutePath(filePath)) return normalizePath(filePath);
+  const cwd = globalThis.process?.cwd?.() ?? "/";
+  return normalizePath(`${cwd}/${filePath}`);
+}
+
+/**
+ * Splits a path into its directory, base name, name without extension and
+ * extension, like Node's `path.parse()`.
+ * @param {string} filePath
+ * @returns {{ dir: string, base: string, name: string, ext: string }}
+ */
+export function parsePath(filePath) {
+  const trimmed = filePath.replace(/[\\/]+$/, "");
+  const cut = Math.max(trimmed.lastIndexOf("/"), trimmed.lastIndexOf("\\"));
+  const dir = cut === -1 ? "" : trimmed.slice(0, cut) || trimmed[0];
+  const base = trimmed.slice(cut + 1);
+  const dot = base.lastIndexOf(".");
+  const ext = dot > 0 ? base.slice(dot) : "";
+  return { dir, base, name: base.slice(0, base.length - ext.length), ext };
+}
@@ -0,0 +1,201 @@
+/**
+ * @module pdf
+ * @description Minimal PDF writer for dewarped pages.
+ * Each page holds one Flate-compressed image, sized in points from the output
+ * DPI. Thresholded pages are stored as 1-bit images, greyscale pages as 8-bit
+ * grey and anything else as RGB. Pages are plain data, so they can be built
+ * in worker threads and assembled into one document afterwards.
+ */
+
+import { VERSION } from "./version.js";
+
+const POINTS_PER_INCH = 72;
+
+const encoder = new TextEncoder();
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function classifyPixels(data) {
+  let binary = true;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    if (data[i + 1] !== r || data[i + 2] !== r) return "rgb";
+    if (r !== 0 && r !== 255) binary = false;
+  }
+  return binary ? "binary" : "grey";
+}
+
+function packPixels(imageData, kind) {
+  const { data, width, height } = imageData;
+  if (kind === "binary") {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = Math.ceil(width / 8);
+    const packed = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4] === 255) {
+          packed[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+    return packed;
+  }
+  const channels = kind === "grey" ? 1 : 3;
+  const packed = new Uint8Array(width * height * channels);
+  for (let i = 0, j = 0; i < data.length; i += 4) {
+    for (let c = 0; c < channels; c++) packed[j++] = data[i + c];
+  }
+  return packed;
+}
+
+/**
+ * Converts an RGBA image into a PDF page sized for `dpi`.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData
+ * @param {number} dpi - Pixels per inch of the image
+ * @returns {Promise<{ width: number, height: number, image: Object }>} Page
+ *   size in points and the compressed image
+ */
+export async function createPdfPage(imageData, dpi) {
+  if (!(dpi > 0)) throw new Error(`Invalid DPI: ${dpi}`);
+  const kind = classifyPixels(imageData.data);
+  const scale = POINTS_PER_INCH / dpi;
+  return {
+    width: imageData.width * scale,
+    height: imageData.height * scale,
+    image: {
+      width: imageData.width,
+      height: imageData.height,
+      colorSpace: kind === "rgb" ? "DeviceRGB" : "DeviceGray",
+      bitsPerComponent: kind === "binary" ? 1 : 8,
+      data: await deflate(packPixels(imageData, kind)),
+    },
+  };
+}
+
+function formatNumber(n) {
+  return Number(n.toFixed(3)).toString();
+}
+
+function formatString(value) {
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return `(${text.replace(/[\\()]/g, "\\$&")})`;
+  }
+  // Other text is written as UTF-16BE with a byte order mark
+  let hex = "FEFF";
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, "0");
+  }
+  return `<${hex}>`;
+}
+
+function dict(entries) {
+  const body = Object.entries(entries).map(
+    ([key, value]) => `/${key} ${value}`
+  );
+  return `<< ${body.join(" ")} >>`;
+}
+
+/**
+ * Assembles pages from `createPdfPage()` into a PDF document, in order.
+ * @param {Array<{ width: number, height: number, image: Object }>} pages
+ * @param {Object} [info] - Document information entries, e.g. `{ Title }`
+ * @returns {Uint8Array}
+ */
+export function assemblePdf(pages, info = {}) {
+  if (pages.length === 0) throw new Error("Cannot create a PDF without pages");
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream = null) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write("stream\n");
+      write(stream);
+      write("\nendstream\n");
+    }
+    write("endobj\n");
+  };
+
+  // Objects: catalog, page tree, info, then page, content and image per page
+  const pageIds = pages.map((_, i) => 4 + i * 3);
+  write("%PDF-1.4\n");
+  // A comment with high bytes marks the file as binary
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+  object(1, dict({ Type: "/Catalog", Pages: "2 0 R" }));
+  object(
+    2,
+    dict({
+      Type: "/Pages",
+      Kids: `[${pageIds.map((id) => `${id} 0 R`).join(" ")}]`,
+      Count: pages.length,
+    })
+  );
+  const entries = { Producer: `page-dewarp-js ${VERSION}`, ...info };
+  const infoEntries = Object.fromEntries(
+    Object.entries(entries).map(([key, value]) => [key, formatString(value)])
+  );
+  object(3, dict(infoEntries));
+
+  pages.forEach((page, i) => {
+    const id = pageIds[i];
+    const { image } = page;
+    const width = formatNumber(page.width);
+    const height = formatNumber(page.height);
+    const content = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`);
+    object(
+      id,
+      dict({
+        Type: "/Page",
+        Parent: "2 0 R",
+        MediaBox: `[0 0 ${width} ${height}]`,
+        Resources: dict({ XObject: dict({ Im0: `${id + 2} 0 R` }) }),
+        Contents: `${id + 1} 0 R`,
+      })
+    );
+    object(id + 1, dict({ Length: content.length }), content);
+    object(
+      id + 2,
+      dict({
+        Type: "/XObject",
+        Subtype: "/Image",
+        Width: image.width,
+        Height: image.height,
+        ColorSpace: `/${image.colorSpace}`,
+        BitsPerComponent: image.bitsPerComponent,
+        Filter: "/FlateDecode",
+        Length: image.data.length,
+      }),
+      image.data
+    );
+  });
+
+  const xrefOffset = length;
+  const count = offsets.length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) {
+    write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  write("trailer\n");
+  write(dict({ Size: count, Root: "1 0 R", Info: "3 0 R" }));
+  write(`\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  }
+  return pdf;
+}
@@ -0,0 +1,82 @@
+/**
+ * @module platform/browser
+ * @description Browser and Web Worker I/O and OpenCV loading: images are
+ * decoded and encoded with `createImageBitmap` and `OffscreenCanvas`, so
+ * output formats are limited to those the browser can encode (PNG, JPEG and,
+ * outside Safari, WebP; not TIFF).
+ * There is no file system, so file path inputs and `writeFile()` are not
+ * supported; pass a `writeFile` of your own to `setIOAdapter()` to collect
+ * written files.
+ */
+
+import { setOpenCV } from "../cv-loader.js";
+
+function createContext(width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  return canvas.getContext("2d");
+}
+
+/** @type {import("../io.js").IOAdapter} */
+export const browserIO = {
+  appliesExifOrientation: true,
+
+  async decodeImage(source) {
+    if (typeof source === "string") {
+      throw new Error(
+        `Cannot read ${source}: pass a Blob, encoded bytes or ImageData in the browser`
+      );
+    }
+    const blob = source instanceof Blob ? source : new Blob([source]);
+    const bitmap = await createImageBitmap(blob, {
+      imageOrientation: "from-image",
+    });
+    const ctx = createContext(bitmap.width, bitmap.height);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+  },
+
+  async encodeImage(imageData, mimeType, options = {}) {
+    const { data, width, height } = imageData;
+    const ctx = createContext(width, height);
+    ctx.putImageData(new ImageData(data, width, height), 0, 0);
+    const blob = await ctx.canvas.convertToBlob({
+      type: mimeType,
+      quality:
+        options.quality === undefined ? undefined : options.quality / 100,
+    });
+    // Browsers fall back to PNG for types they cannot encode
+    if (blob.type !== mimeType) {
+      throw new Error(`This browser cannot encode ${mimeType} images`);
+    }
+    return new Uint8Array(await blob.arrayBuffer());
+  },
+
+  async writeFile(filePath) {
+    throw new Error(`Cannot write ${filePath}: no file system in the browser`);
+  },
+};
+
+/**
+ * Registers an OpenCV.js module once its runtime is ready.
+ * @param {Object | Promise<Object>} [cv=globalThis.cv] - The `cv` global of
+ *   opencv.js, or the module or promise it exports
+ * @returns {Promise<Object>}
+ */
+export async function loadOpenCV(cv = globalThis.cv) {
+  if (!cv) {
+    throw new Error("OpenCV.js is not loaded: include opencv.js first");
+  }
+  if (typeof cv.then === "function") {
+    // Resolve with the module stripped of `then`, or it would be awaited again
+    return new Promise((resolve) =>
+      cv.then((module) => resolve(setOpenCV(module)))
+    );
+  }
+  if (!cv.Mat) {
+    await new Promise((resolve) => {
+      cv.onRuntimeInitialized = resolve;
+    });
+  }
+  return setOpenCV(cv);
+}
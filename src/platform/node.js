@@ -0,0 +1,85 @@
+/**
+ * @module platform/node
+ * @description Node.js I/O and OpenCV loading: images are decoded with
+ * node-canvas, encoded with Jimp and written with `fs`.
+ */
+
+import { createCanvas, loadImage } from "canvas";
+import fs from "fs/promises";
+import { createRequire } from "module";
+import { dirname } from "path";
+import { Jimp } from "jimp";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../cv-loader.js";
+
+async function toLoadable(source) {
+  if (typeof source === "string" || Buffer.isBuffer(source)) return source;
+  if (source instanceof Blob) return Buffer.from(await source.arrayBuffer());
+  return Buffer.from(source);
+}
+
+const require = createRequire(import.meta.url);
+
+let webpEncoder = null;
+
+// jSquash fetches its wasm by URL, which Node cannot do for files, so the
+// module is compiled here. Node always supports SIMD, the build jSquash picks.
+function loadWebPEncoder() {
+  webpEncoder ??= (async () => {
+    const { default: encode, init } = await import("@jsquash/webp/encode.js");
+    const wasmPath = require.resolve(
+      "@jsquash/webp/codec/enc/webp_enc_simd.wasm"
+    );
+    await init(await WebAssembly.compile(await fs.readFile(wasmPath)));
+    return encode;
+  })();
+  return webpEncoder;
+}
+
+/** @type {import("../io.js").IOAdapter} */
+export const nodeIO = {
+  // node-canvas turns JPEGs upright by their EXIF orientation
+  appliesExifOrientation: true,
+
+  async decodeImage(source) {
+    const image = await loadImage(await toLoadable(source));
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0, image.width, image.height);
+    return ctx.getImageData(0, 0, image.width, image.height);
+  },
+
+  async encodeImage(imageData, mimeType, options = {}) {
+    const { data, width, height } = imageData;
+    if (mimeType === "image/webp") {
+      const encode = await loadWebPEncoder();
+      const webp = await encode(imageData, {
+        quality: options.quality ?? 90,
+        lossless: options.lossless ? 1 : 0,
+      });
+      return Buffer.from(webp);
+    }
+    const jimpImg = new Jimp({
+      width,
+      height,
+      data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+    });
+    if (mimeType === "image/jpeg") {
+      return jimpImg.getBuffer(mimeType, { quality: options.quality ?? 90 });
+    }
+    return jimpImg.getBuffer(mimeType);
+  },
+
+  async readFile(filePath) {
+    return fs.readFile(filePath);
+  },
+
+  async writeFile(filePath, data) {
+    await fs.mkdir(dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  },
+};
+
+export async function loadOpenCV() {
+  return setOpenCV(opencv.cv);
+}
@@ -0,0 +1,81 @@
+/**
+ * @module progress
+ * @description Stage tracking for the dewarping pipeline.
+ * Records per-stage timings and reports progress events to an optional
+ * `onProgress` callback, e.g. to drive a progress bar.
+ */
+
+/**
+ * Pipeline stages in execution order.
+ */
+export const PIPELINE_STAGES = [
+  "load",
+  "pageExtents",
+  "contours",
+  "spans",
+  "sampling",
+  "keypoints",
+  "optimise",
+  "pageDims",
+  "remap",
+];
+
+/**
+ * Returns the overall progress fraction once `fraction` of `stage` is done.
+ * @param {string} stage - One of `PIPELINE_STAGES`
+ * @param {number} fraction - Fraction of the stage done, in [0, 1]
+ * @returns {number}
+ */
+export function stageProgress(stage, fraction) {
+  return Math.min(
+    1,
+    (PIPELINE_STAGES.indexOf(stage) + fraction) / PIPELINE_STAGES.length
+  );
+}
+
+/**
+ * Creates a tracker for one pipeline run.
+ *
+ * Every event has `stage`, `type` ("start", "end" or "iteration") and an
+ * overall `progress` fraction in [0, 1]. "end" events add the stage
+ * `duration` in milliseconds; "iteration" events (optimise stage only) add
+ * `iteration`, `maxIter` and `loss`.
+ *
+ * @param {Function} [onProgress]
+ * @returns {{ timings: Object, start: Function, end: Function, iteration: Function, finish: Function }}
+ */
+export function createStageTracker(onProgress) {
+  const origin = performance.now();
+  const timings = {};
+  const starts = {};
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+
+  return {
+    timings,
+    start(stage) {
+      starts[stage] = performance.now();
+      emit({ stage, type: "start", progress: stageProgress(stage, 0) });
+    },
+    end(stage) {
+      const duration = performance.now() - (starts[stage] ?? origin);
+      timings[stage] = duration;
+      emit({ stage, type: "end", progress: stageProgress(stage, 1), duration });
+    },
+    iteration(stage, iteration, maxIter, loss) {
+      emit({
+        stage,
+        type: "iteration",
+        progress: stageProgress(stage, iteration / maxIter),
+        iteration,
+        maxIter,
+        loss,
+      });
+    },
+    finish() {
+      timings.total = performance.now() - origin;
+      return timings;
+    },
+  };
+}
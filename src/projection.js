@@ -3,42 +3,42 @@ import { getOpenCV } from "./cv-loader.js";
 
 /**
  * Returns the 3x3 camera intrinsic matrix.
+ * @param {Object} [config=Config]
  * @returns {cv.Mat}
  */
-export function getK() {
+export function getK(config = Config) {
   const cv = getOpenCV();
-  const f_val = Config.FOCAL_LENGTH;
+  const f_val = config.FOCAL_LENGTH;
   const data = [f_val, 0, 0, 0, f_val, 0, 0, 0, 1];
   return cv.matFromArray(3, 3, cv.CV_64F, data);
 }
 
+// Cubic surface coefficients from the slopes stored at `idx`:
+// z = p0*x^3 + p1*x^2 + p2*x, with z = 0 at x = 0 and x = 1
+function cubicCoefficients(pvec, idx) {
+  let a = pvec[idx[0]];
+  let b = pvec[idx[0] + 1];
+
+  a = Math.max(-0.5, Math.min(0.5, a));
+  b = Math.max(-0.5, Math.min(0.5, b));
+
+  return [a + b, -2 * a - b, a];
+}
+
 /**
  * Projects 2D page coordinates to 2D image coordinates using the cubic surface
  * model and camera pose.
  * @param {Array<[number, number]>} xyCoords
  * @param {Array<number>} pvec
+ * @param {Object} [config=Config]
  * @returns {Array<[number, number]>}
  */
-export function projectXY(xyCoords, pvec) {
-  const cv = getOpenCV();
-
+export function projectXY(xyCoords, pvec, config = Config) {
   // xyCoords is array of [x, y]
   // pvec is array of numbers
 
-  const rvecIdx = Config.RVEC_IDX;
-  const tvecIdx = Config.TVEC_IDX;
-  const cubicIdx = Config.CUBIC_IDX;
-
-  let a = pvec[cubicIdx[0]];
-  let b = pvec[cubicIdx[0] + 1];
-
-  a = Math.max(-0.5, Math.min(0.5, a));
-  b = Math.max(-0.5, Math.min(0.5, b));
-
   // Polynomial coefficients for cubic surface: z = p0*x^3 + p1*x^2 + p2*x
-  const p0 = a + b;
-  const p1 = -2 * a - b;
-  const p2 = a;
+  const [p0, p1, p2] = cubicCoefficients(pvec, config.CUBIC_IDX);
 
   const objPoints = [];
   for (const pt of xyCoords) {
@@ -50,6 +50,57 @@ export function projectXY(xyCoords, pvec) {
     objPoints.push([x, y, z]);
   }
 
+  return projectObjectPoints(objPoints, pvec, config);
+}
+
+/**
+ * Projects 2D page coordinates of a two-page spread to 2D image coordinates.
+ * The pages share the camera pose and meet at the spine, at `x = spine`
+ * (`SPINE_IDX`). Each page curves as the cubic surface of `projectXY()`, with
+ * its own coefficients (`LEFT_CUBIC_IDX` and `RIGHT_CUBIC_IDX`) and with x
+ * measured from the spine outwards.
+ * @param {Array<[number, number]>} xyCoords
+ * @param {Array<number>} pvec
+ * @param {Object} [config=Config]
+ * @returns {Array<[number, number]>}
+ */
+export function projectSpreadXY(xyCoords, pvec, config = Config) {
+  const spine = pvec[config.SPINE_IDX[0]];
+  const left = cubicCoefficients(pvec, config.LEFT_CUBIC_IDX);
+  const right = cubicCoefficients(pvec, config.RIGHT_CUBIC_IDX);
+
+  const objPoints = xyCoords.map(([x, y]) => {
+    const d = Math.abs(x - spine);
+    const [p0, p1, p2] = x < spine ? left : right;
+    return [x, y, p0 * d * d * d + p1 * d * d + p2 * d];
+  });
+
+  return projectObjectPoints(objPoints, pvec, config);
+}
+
+/**
+ * Projections for each surface model: "page" for a single page and "spread"
+ * for the joint model of two facing pages.
+ */
+export const PROJECTIONS = { page: projectXY, spread: projectSpreadXY };
+
+/**
+ * Returns the number of model parameters before the span coordinates.
+ * @param {"page" | "spread"} surface
+ * @param {Object} [config=Config]
+ * @returns {number}
+ */
+export function headerSize(surface, config = Config) {
+  return surface === "spread" ? config.RIGHT_CUBIC_IDX[1] : config.CUBIC_IDX[1];
+}
+
+// Projects 3D page points through the camera pose of `pvec`
+function projectObjectPoints(objPoints, pvec, config) {
+  const cv = getOpenCV();
+
+  const rvecIdx = config.RVEC_IDX;
+  const tvecIdx = config.TVEC_IDX;
+
   const rvecData = pvec.slice(rvecIdx[0], rvecIdx[1]);
   const tvecData = pvec.slice(tvecIdx[0], tvecIdx[1]);
 
@@ -59,7 +110,7 @@ export function projectXY(xyCoords, pvec) {
 
   const t = tvecData;
 
-  const K_f = Config.FOCAL_LENGTH;
+  const K_f = config.FOCAL_LENGTH;
 
   const result = [];
 
@@ -1,14 +1,37 @@
 import { Config } from "./config.js";
+import { silentLogger } from "./logger.js";
 import { solvePnP } from "./solvepnp/index.js";
 
 /**
  * Computes initial camera pose and builds the parameter vector for optimization.
+ *
+ * A single page has the layout rvec, tvec and cubic coefficients, followed by
+ * one y coordinate per span and one x coordinate per keypoint. The joint
+ * model of a spread (see `projectSpreadXY()`) has the spine position and the
+ * cubic coefficients of the left and the right page in place of the cubic
+ * coefficients; its spine starts at `options.spine`, or else halfway between
+ * the text of the two pages.
  * @param {Array<[number, number]>} corners
  * @param {Array<number>} ycoords
  * @param {Array<Array<number>>} xcoords
+ * @param {Object} [config=Config]
+ * @param {Object} [logger=silentLogger]
+ * @param {Object} [options]
+ * @param {"page" | "spread"} [options.surface="page"]
+ * @param {number} [options.leftSpanCount] - For spreads, the number of spans,
+ *   at the start of `xcoords`, on the left page
+ * @param {number} [options.spine] - For spreads, the starting spine position,
+ *   such as the gutter from `spineFromGutter()`
  * @returns {{ pageDims: [number, number], spanCounts: Array<number>, params: Array<number> }}
  */
-export function getDefaultParams(corners, ycoords, xcoords) {
+export function getDefaultParams(
+  corners,
+  ycoords,
+  xcoords,
+  config = Config,
+  logger = silentLogger,
+  options = {}
+) {
   function dist(p1, p2) {
     return Math.sqrt(Math.pow(p1[0] - p2[0], 2) + Math.pow(p1[1] - p2[1], 2));
   }
@@ -34,12 +57,12 @@ export function getDefaultParams(corners, ycoords, xcoords) {
   const imagePoints = corners; // Already in array of [u, v] format?
   // corners is likely array of [x, y] arrays.
 
-  const f = Config.FOCAL_LENGTH;
+  const f = config.FOCAL_LENGTH;
   const cameraMatrix = [f, 0, 0, 0, f, 0, 0, 0, 1];
   const distCoeffs = []; // No distortion assumed for initial guess
 
-  if (Config.DEBUG_LEVEL >= 1) {
-    console.log(`  Running solvePnP on ${objectPoints.length} points...`);
+  if (config.DEBUG_LEVEL >= 1) {
+    logger.debug(`  Running solvePnP on ${objectPoints.length} points...`);
   }
 
   const solution = solvePnP(
@@ -49,10 +72,10 @@ export function getDefaultParams(corners, ycoords, xcoords) {
     distCoeffs
   );
 
-  if (Config.DEBUG_LEVEL >= 1) {
-    console.log(`  solvePnP success: ${solution.success}`);
-    console.log(`  rvec: ${solution.rvec}`);
-    console.log(`  tvec: ${solution.tvec}`);
+  if (config.DEBUG_LEVEL >= 1) {
+    logger.debug(`  solvePnP success: ${solution.success}`);
+    logger.debug(`  rvec: ${solution.rvec}`);
+    logger.debug(`  tvec: ${solution.tvec}`);
   }
 
   const refinedParams = [...solution.rvec, ...solution.tvec];
@@ -65,8 +88,16 @@ export function getDefaultParams(corners, ycoords, xcoords) {
   params.push(refinedParams[0], refinedParams[1], refinedParams[2]);
   // tvec
   params.push(refinedParams[3], refinedParams[4], refinedParams[5]);
-  // cubic
-  params.push(0.0, 0.0);
+  if (options.surface === "spread") {
+    const left = xcoords.slice(0, options.leftSpanCount).flat();
+    const right = xcoords.slice(options.leftSpanCount).flat();
+    // spine, then the cubic of each page
+    params.push(options.spine ?? (Math.max(...left) + Math.min(...right)) / 2);
+    params.push(0.0, 0.0, 0.0, 0.0);
+  } else {
+    // cubic
+    params.push(0.0, 0.0);
+  }
   // ycoords
   ycoords.forEach((y) => params.push(y));
   // xcoords
@@ -2,6 +2,7 @@ import { Config } from "./config.js";
 import { getOpenCV } from "./cv-loader.js";
 import { DebugMetrics } from "./debug-metrics.js";
 import { cCOLOURS, debugShow } from "./debug.js";
+import { silentLogger } from "./logger.js";
 import { norm2pix, pix2norm } from "./utils.js";
 
 /**
@@ -17,7 +18,7 @@ function angleDist(angleB, angleA) {
   return Math.abs(diff);
 }
 
-function generateCandidateEdge(cinfoA, cinfoB, statsTracker) {
+function generateCandidateEdge(cinfoA, cinfoB, statsTracker, config) {
   if (cinfoA.point0[0] > cinfoB.point1[0]) {
     [cinfoA, cinfoB] = [cinfoB, cinfoA];
   }
@@ -57,19 +58,19 @@ function generateCandidateEdge(cinfoA, cinfoB, statsTracker) {
       : null;
 
   if (
-    dist > Config.EDGE_MAX_LENGTH ||
-    xOverlap > Config.EDGE_MAX_OVERLAP ||
-    deltaAngle > Config.EDGE_MAX_ANGLE
+    dist > config.EDGE_MAX_LENGTH ||
+    xOverlap > config.EDGE_MAX_OVERLAP ||
+    deltaAngle > config.EDGE_MAX_ANGLE
   ) {
     if (statsTracker) {
       const { rejectionBreakdown } = statsTracker;
-      if (dist > Config.EDGE_MAX_LENGTH) {
+      if (dist > config.EDGE_MAX_LENGTH) {
         rejectionBreakdown.distance++;
         if (diag) diag.reason = "distance";
-      } else if (xOverlap > Config.EDGE_MAX_OVERLAP) {
+      } else if (xOverlap > config.EDGE_MAX_OVERLAP) {
         rejectionBreakdown.overlap++;
         if (diag) diag.reason = "overlap";
-      } else if (deltaAngle > Config.EDGE_MAX_ANGLE) {
+      } else if (deltaAngle > config.EDGE_MAX_ANGLE) {
         rejectionBreakdown.angle++;
         if (diag) diag.reason = "angle";
       }
@@ -105,7 +106,7 @@ function generateCandidateEdge(cinfoA, cinfoB, statsTracker) {
     acceptedMetrics.angle.count++;
   }
 
-  const score = dist + deltaAngle * Config.EDGE_ANGLE_COST;
+  const score = dist + deltaAngle * config.EDGE_ANGLE_COST;
   if (diag) {
     diag.accepted = true;
     diag.score = score;
@@ -128,13 +129,18 @@ function sortContoursForAssembly(cinfoList) {
   });
 }
 
-function generateAllCandidateEdges(cinfoList, stats) {
+function generateAllCandidateEdges(cinfoList, stats, config) {
   const candidateEdges = [];
 
   for (let i = 0; i < cinfoList.length; i++) {
     for (let j = 0; j < i; j++) {
       stats.candidatePairs++;
-      const edge = generateCandidateEdge(cinfoList[i], cinfoList[j], stats);
+      const edge = generateCandidateEdge(
+        cinfoList[i],
+        cinfoList[j],
+        stats,
+        config
+      );
       if (edge) {
         candidateEdges.push(edge);
         stats.validEdges++;
@@ -156,7 +162,7 @@ function linkContours(candidateEdges) {
   }
 }
 
-function extractSpans(cinfoList, stats) {
+function extractSpans(cinfoList, stats, config) {
   const spans = [];
   const listCopy = [...cinfoList];
 
@@ -176,7 +182,7 @@ function extractSpans(cinfoList, stats) {
       cinfo = cinfo.succ;
     }
 
-    if (width > Config.SPAN_MIN_WIDTH) {
+    if (width > config.SPAN_MIN_WIDTH) {
       spans.push(curSpan);
       stats.spanWidths.push(width);
       stats.spanSizes.push(curSpan.length);
@@ -192,9 +198,18 @@ function extractSpans(cinfoList, stats) {
  * @param {cv.Mat} small
  * @param {cv.Mat} pagemask
  * @param {Array<ContourInfo>} cinfoList
+ * @param {Object} [config=Config]
+ * @param {Object} [logger=silentLogger]
  * @returns {{ spans: Array<Array<ContourInfo>>, stats: Object }}
  */
-export function assembleSpans(name, small, pagemask, cinfoList) {
+export function assembleSpans(
+  name,
+  small,
+  pagemask,
+  cinfoList,
+  config = Config,
+  logger = silentLogger
+) {
   sortContoursForAssembly(cinfoList);
 
   const stats = {
@@ -216,15 +231,15 @@ export function assembleSpans(name, small, pagemask, cinfoList) {
     edgeDiagnostics: [],
   };
 
-  const candidateEdges = generateAllCandidateEdges(cinfoList, stats);
+  const candidateEdges = generateAllCandidateEdges(cinfoList, stats, config);
   linkContours(candidateEdges);
 
   stats.linkedContours = cinfoList.filter((c) => c.succ || c.pred).length;
 
-  const spans = extractSpans(cinfoList, stats);
+  const spans = extractSpans(cinfoList, stats, config);
 
-  if (Config.DEBUG_LEVEL >= 2) {
-    visualizeSpans(name, small, pagemask, spans);
+  if (config.DEBUG_LEVEL >= 2) {
+    visualizeSpans(name, small, pagemask, spans, config, logger);
   }
 
   const finalizeMetric = (metric) =>
@@ -289,11 +304,12 @@ function sampleContourPoints(cinfo, step) {
  * Extracts evenly-spaced sample points along each span's center line.
  * @param {cv.Mat | Object} shape
  * @param {Array<Array<ContourInfo>>} spans
+ * @param {Object} [config=Config]
  * @returns {Array<Array<[number, number]>>}
  */
-export function sampleSpans(shape, spans) {
+export function sampleSpans(shape, spans, config = Config) {
   const spanPoints = [];
-  const step = Config.SPAN_PX_PER_STEP;
+  const step = config.SPAN_PX_PER_STEP;
 
   for (const span of spans) {
     const contourPoints = [];
@@ -459,6 +475,8 @@ function computeSpanCoordinates(spanPoints, x_dir, y_dir, pageXMin, pageYMin) {
  * @param {cv.Mat} pagemask
  * @param {Array<[number, number]>} page_outline
  * @param {Array<Array<[number, number]>>} spanPoints
+ * @param {Object} [config=Config]
+ * @param {Object} [logger=silentLogger]
  * @returns {{ corners: Array<[number, number]>, ycoords: Array<number>, xcoords: Array<Array<number>> }}
  */
 export function keypointsFromSamples(
@@ -466,7 +484,9 @@ export function keypointsFromSamples(
   small,
   pagemask,
   page_outline,
-  spanPoints
+  spanPoints,
+  config = Config,
+  logger = silentLogger
 ) {
   const {
     x_dir,
@@ -492,8 +512,8 @@ export function keypointsFromSamples(
     pageYMin
   );
 
-  if (Config.DEBUG_LEVEL >= 2) {
-    visualizeSpanPoints(name, small, spanPoints, corners);
+  if (config.DEBUG_LEVEL >= 2) {
+    visualizeSpanPoints(name, small, spanPoints, corners, config, logger);
   }
 
   DebugMetrics.add("keypoint_axes", { x_dir, y_dir });
@@ -515,7 +535,7 @@ export function keypointsFromSamples(
   return { corners, ycoords, xcoords };
 }
 
-async function visualizeSpans(name, small, pagemask, spans) {
+async function visualizeSpans(name, small, pagemask, spans, config, logger) {
   const cv = getOpenCV();
   const display = small.clone();
 
@@ -535,11 +555,18 @@ async function visualizeSpans(name, small, pagemask, spans) {
   }
 
   // Blend logic omitted for brevity, just showing overlay
-  await debugShow(name, 2, "spans", display);
+  await debugShow(name, 2, "spans", display, config, logger);
   display.delete();
 }
 
-async function visualizeSpanPoints(name, small, spanPoints, corners) {
+async function visualizeSpanPoints(
+  name,
+  small,
+  spanPoints,
+  corners,
+  config,
+  logger
+) {
   const cv = getOpenCV();
   const display = small.clone();
 
@@ -570,6 +597,6 @@ async function visualizeSpanPoints(name, small, spanPoints, corners) {
     );
   }
 
-  await debugShow(name, 3, "span_points", display);
+  await debugShow(name, 3, "span_points", display, config, logger);
   display.delete();
 }
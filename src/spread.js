@@ -0,0 +1,249 @@
+/**
+ * @module spread
+ * @description Two-page spreads: finds the gutter between the pages of an
+ * open book and splits the page outline along it, so that each page can be
+ * fitted with a model of its own. The gutter is where the text stops and the
+ * paper curves away from the light, so it is searched for as a band of
+ * columns without text contours along a shading valley.
+ */
+
+import { silentLogger } from "./logger.js";
+import { removePrint } from "./page-boundary.js";
+import { pix2norm } from "./utils.js";
+
+// Share of the page width on each side that cannot hold the gutter
+const GUTTER_MARGIN = 0.25;
+// Fewest text contours a page of a spread must have
+const MIN_PAGE_CONTOURS = 5;
+// Smallest share of the text contours on either page, below which the
+// image is a single page next to the edges of others
+const MIN_PAGE_SHARE = 0.2;
+// Horizontal bands in which the gutter is followed down the page
+const GUTTER_BANDS = 8;
+// Distance, as a share of the image width, the gutter may drift from its
+// mean column
+const GUTTER_DRIFT = 0.05;
+// Distance, as a share of the page width, the fitted spine may move from the
+// gutter
+const SPINE_MARGIN = 0.05;
+
+function smooth(values, radius) {
+  return values.map((_, i) => {
+    let sum = 0;
+    let count = 0;
+    for (let j = i - radius; j <= i + radius; j++) {
+      if (j >= 0 && j < values.length && Number.isFinite(values[j])) {
+        sum += values[j];
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : NaN;
+  });
+}
+
+// Mean grey level of each column within the page mask, over rows [top, bottom)
+function columnMeans(gray, pagemask, top, bottom) {
+  const means = [];
+  for (let x = 0; x < gray.cols; x++) {
+    let sum = 0;
+    let count = 0;
+    for (let y = top; y < bottom; y++) {
+      if (pagemask.ucharPtr(y, x)[0]) {
+        sum += gray.ucharPtr(y, x)[0];
+        count++;
+      }
+    }
+    means.push(count > 0 ? sum / count : NaN);
+  }
+  return means;
+}
+
+function darkestColumn(means, from, to) {
+  let best = -1;
+  for (let x = Math.max(from, 0); x <= Math.min(to, means.length - 1); x++) {
+    if (Number.isFinite(means[x]) && (best < 0 || means[x] < means[best])) {
+      best = x;
+    }
+  }
+  return best;
+}
+
+// Least squares fit of x = a + b * y
+function fitLine(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxy = 0;
+  let syy = 0;
+  for (const [x, y] of points) {
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) * (y - meanY);
+  }
+  const b = syy > 0 ? sxy / syy : 0;
+  return { a: meanX - b * meanY, b };
+}
+
+/**
+ * Finds the gutter of a two-page spread.
+ * @param {cv.Mat} small - Downsampled BGR image
+ * @param {cv.Mat} pagemask - Mask of the page area
+ * @param {Array<Object>} contours - Text contours (see `WarpedImage`), with
+ *   a bounding `rect`
+ * @param {Object} [logger=silentLogger]
+ * @returns {{ top: [number, number], bottom: [number, number] } | null} The
+ *   gutter line from the top to the bottom row of `small`, in its pixels, or
+ *   null when the image does not have text on both sides of a gutter
+ */
+export function findGutter(small, pagemask, contours, logger = silentLogger) {
+  const width = small.cols;
+  const height = small.rows;
+  const gray = removePrint(small);
+  const means = smooth(
+    columnMeans(gray, pagemask, 0, height),
+    Math.round(width / 100)
+  );
+  const pageColumns = means
+    .map((mean, x) => (Number.isFinite(mean) ? x : -1))
+    .filter((x) => x >= 0);
+  if (pageColumns.length === 0) {
+    gray.delete();
+    return null;
+  }
+  const left = pageColumns[0];
+  const right = pageColumns[pageColumns.length - 1];
+  const from = Math.round(left + GUTTER_MARGIN * (right - left));
+  const to = Math.round(right - GUTTER_MARGIN * (right - left));
+
+  // Text coverage and darkness of each column, both scaled to [0, 1]
+  const coverage = new Array(width).fill(0);
+  for (const { rect } of contours) {
+    for (let x = rect.x; x < rect.x + rect.width && x < width; x++) {
+      coverage[x] += rect.height;
+    }
+  }
+  const smoothCoverage = smooth(coverage, Math.round(width / 100));
+  const maxCoverage = Math.max(...smoothCoverage.slice(from, to + 1), 1);
+  const inRange = means.slice(from, to + 1).filter(Number.isFinite);
+  const brightest = Math.max(...inRange);
+  const darkest = Math.min(...inRange);
+  const contrast = Math.max(brightest - darkest, 1);
+
+  let column = -1;
+  let bestScore = -Infinity;
+  for (let x = from; x <= to; x++) {
+    if (!Number.isFinite(means[x])) continue;
+    const score =
+      (brightest - means[x]) / contrast + 1 - smoothCoverage[x] / maxCoverage;
+    if (score > bestScore) {
+      bestScore = score;
+      column = x;
+    }
+  }
+
+  const leftCount = contours.filter(
+    ({ rect }) => rect.x + rect.width <= column
+  ).length;
+  const rightCount = contours.filter(({ rect }) => rect.x >= column).length;
+  const fewest = Math.min(leftCount, rightCount);
+  if (
+    column < 0 ||
+    fewest < MIN_PAGE_CONTOURS ||
+    fewest < MIN_PAGE_SHARE * (leftCount + rightCount)
+  ) {
+    logger.debug(
+      `  no gutter: ${leftCount} and ${rightCount} text contours on either side of column ${column}`
+    );
+    gray.delete();
+    return null;
+  }
+
+  // Follow the shading valley down the page, for books that are not upright
+  const drift = Math.round(GUTTER_DRIFT * width);
+  const points = [];
+  for (let band = 0; band < GUTTER_BANDS; band++) {
+    const top = Math.floor((band * height) / GUTTER_BANDS);
+    const bottom = Math.floor(((band + 1) * height) / GUTTER_BANDS);
+    const bandMeans = smooth(
+      columnMeans(gray, pagemask, top, bottom),
+      Math.round(width / 200)
+    );
+    const x = darkestColumn(bandMeans, column - drift, column + drift);
+    if (x >= 0) points.push([x, (top + bottom) / 2]);
+  }
+  gray.delete();
+
+  const { a, b } = points.length >= 2 ? fitLine(points) : { a: column, b: 0 };
+  logger.debug(
+    `  gutter at column ${column}, slope ${b.toFixed(
+      3
+    )}, ${leftCount} and ${rightCount} text contours on either side`
+  );
+  return {
+    top: [a, 0],
+    bottom: [a + b * (height - 1), height - 1],
+  };
+}
+
+/**
+ * Splits a polygon along the gutter line into the parts on either side.
+ * @param {Array<[number, number]>} outline
+ * @param {{ top: [number, number], bottom: [number, number] }} gutter
+ * @returns {{ left: Array<[number, number]>, right: Array<[number, number]> }}
+ */
+export function splitOutline(outline, gutter) {
+  const [tx, ty] = gutter.top;
+  const dx = gutter.bottom[0] - tx;
+  const dy = gutter.bottom[1] - ty;
+  // Positive on the left of the line, for a line running down the image
+  const side = ([x, y]) => dx * (y - ty) - dy * (x - tx);
+
+  const clip = (sign) => {
+    const kept = [];
+    outline.forEach((point, i) => {
+      const next = outline[(i + 1) % outline.length];
+      const s0 = sign * side(point);
+      const s1 = sign * side(next);
+      if (s0 >= 0) kept.push(point);
+      if ((s0 > 0 && s1 < 0) || (s0 < 0 && s1 > 0)) {
+        const t = s0 / (s0 - s1);
+        kept.push([
+          point[0] + t * (next[0] - point[0]),
+          point[1] + t * (next[1] - point[1]),
+        ]);
+      }
+    });
+    return kept;
+  };
+
+  return { left: clip(1), right: clip(-1) };
+}
+
+/**
+ * Places the gutter along the x axis of the page, in the normalized page
+ * coordinates of `getDefaultParams()`, as the start of the spine of the joint
+ * model and the range the fitted spine is kept within.
+ * @param {{ top: [number, number], bottom: [number, number] }} gutter - In
+ *   pixels of `small`
+ * @param {cv.Mat} small
+ * @param {Array<[number, number]>} corners - Page corners from
+ *   `keypointsFromSamples()`
+ * @returns {{ spine: number, spineBounds: [number, number] }}
+ */
+export function spineFromGutter(gutter, small, corners) {
+  const [origin, topRight] = corners;
+  const width = Math.hypot(topRight[0] - origin[0], topRight[1] - origin[1]);
+  const xDir = [
+    (topRight[0] - origin[0]) / width,
+    (topRight[1] - origin[1]) / width,
+  ];
+  const [top, bottom] = pix2norm(small, [gutter.top, gutter.bottom]).map(
+    ([x, y]) => (x - origin[0]) * xDir[0] + (y - origin[1]) * xDir[1]
+  );
+  return {
+    spine: (top + bottom) / 2,
+    spineBounds: [
+      Math.min(top, bottom) - SPINE_MARGIN * width,
+      Math.max(top, bottom) + SPINE_MARGIN * width,
+    ],
+  };
+}
@@ -1,7 +1,14 @@
-import { createCanvas, loadImage } from "canvas";
-import fs from "fs/promises";
-import { Jimp } from "jimp";
 import { getOpenCV } from "./cv-loader.js";
+import { InvalidInputError } from "./errors.js";
+import {
+  invertOrientation,
+  orientationFromExif,
+  readExifTags,
+} from "./exif.js";
+import { embedMetadata } from "./image-metadata.js";
+import { getIOAdapter } from "./io.js";
+import { formatFromPath, OUTPUT_FORMATS } from "./output-format.js";
+import { assemblePdf, createPdfPage } from "./pdf.js";
 
 export function imgsize(img) {
   const { rows, cols } = img;
@@ -9,27 +16,149 @@ export function imgsize(img) {
 }
 
 /**
- * Loads an image file into an OpenCV Mat.
- * @param {string} imgPath
+ * Turns a Mat upright according to an EXIF orientation (see
+ * `readExifOrientation()`).
+ * @param {cv.Mat} mat
+ * @param {number} orientation - 1 to 8
+ * @returns {cv.Mat} A new Mat, owned by the caller
+ */
+export function orientMat(mat, orientation) {
+  const cv = getOpenCV();
+  const dst = new cv.Mat();
+  switch (orientation) {
+    case 2:
+      cv.flip(mat, dst, 1);
+      break;
+    case 3:
+      cv.rotate(mat, dst, cv.ROTATE_180);
+      break;
+    case 4:
+      cv.flip(mat, dst, 0);
+      break;
+    case 5:
+      cv.transpose(mat, dst);
+      break;
+    case 6:
+      cv.rotate(mat, dst, cv.ROTATE_90_CLOCKWISE);
+      break;
+    case 7:
+      cv.transpose(mat, dst);
+      cv.flip(dst, dst, -1);
+      break;
+    case 8:
+      cv.rotate(mat, dst, cv.ROTATE_90_COUNTERCLOCKWISE);
+      break;
+    default:
+      mat.copyTo(dst);
+  }
+  return dst;
+}
+
+// Encoded bytes of a source, or null for paths the adapter cannot read
+async function readSourceBytes(source, io) {
+  if (typeof source === "string") {
+    return io.readFile ? io.readFile(source) : null;
+  }
+  if (source instanceof Uint8Array) return source;
+  if (source instanceof ArrayBuffer) return new Uint8Array(source);
+  return new Uint8Array(await source.arrayBuffer());
+}
+
+/**
+ * Decodes an image file or encoded image bytes into an RGBA OpenCV Mat,
+ * through the registered I/O adapter. JPEGs are turned upright according to
+ * their EXIF orientation unless `exifOrientation` is false, in which case the
+ * pixels are returned as stored, whether or not the adapter's decoder applies
+ * the orientation itself.
+ * @param {string | Uint8Array | ArrayBuffer | Blob} source
+ * @param {Object} [options]
+ * @param {boolean} [options.exifOrientation=true]
  * @returns {Promise<cv.Mat>}
  */
-export async function loadImageMat(imgPath) {
+export async function loadImageMat(source, options = {}) {
+  return (await loadEncodedImage(source, options)).mat;
+}
+
+async function loadEncodedImage(source, options) {
+  const { exifOrientation = true } = options;
   const cv = getOpenCV();
-  const image = await loadImage(imgPath);
-  const canvas = createCanvas(image.width, image.height);
-  const ctx = canvas.getContext("2d");
-  ctx.drawImage(image, 0, 0, image.width, image.height);
-  const imageData = ctx.getImageData(0, 0, image.width, image.height);
-  return cv.matFromImageData(imageData);
+  const io = getIOAdapter();
+  const bytes = await readSourceBytes(source, io);
+  const mat = cv.matFromImageData(await io.decodeImage(bytes ?? source));
+  const exif = bytes ? readExifTags(bytes) : new Map();
+
+  const orientation = orientationFromExif(exif);
+  // The adapter's decoder may have turned the image upright already
+  const decoded = io.appliesExifOrientation ? orientation : 1;
+  const wanted = exifOrientation ? orientation : 1;
+  if (decoded === wanted) return { mat, exif };
+  const oriented = orientMat(
+    mat,
+    decoded === 1 ? wanted : invertOrientation(decoded)
+  );
+  mat.delete();
+  return { mat: oriented, exif };
+}
+
+function isEncodedImage(input) {
+  return (
+    input instanceof Uint8Array ||
+    input instanceof ArrayBuffer ||
+    (typeof Blob !== "undefined" && input instanceof Blob)
+  );
+}
+
+function isImageData(input) {
+  return (
+    input !== null &&
+    typeof input === "object" &&
+    ArrayBuffer.isView(input.data) &&
+    Number.isInteger(input.width) &&
+    Number.isInteger(input.height)
+  );
 }
 
 /**
- * Saves an OpenCV Mat to a PNG file.
- * @param {cv.Mat} mat
- * @param {string} path
- * @returns {Promise<void>}
+ * Converts any supported image input into a new OpenCV Mat owned by the caller,
+ * along with its EXIF tags (see `readExifTags()`), which are empty for
+ * anything but JPEG files and bytes.
+ * @param {string | Buffer | Blob | ImageData | cv.Mat} input
+ * @param {Object} [options] - Passed to `loadImageMat()` for file paths and
+ *   encoded images
+ * @returns {Promise<{ mat: cv.Mat, exif: Map<number, *> }>}
+ */
+export async function decodeInput(input, options = {}) {
+  const cv = getOpenCV();
+  if (input instanceof cv.Mat) {
+    return { mat: input.clone(), exif: new Map() };
+  }
+  if (isImageData(input)) {
+    return { mat: cv.matFromImageData(input), exif: new Map() };
+  }
+  if (typeof input === "string" || isEncodedImage(input)) {
+    return loadEncodedImage(input, options);
+  }
+  throw new InvalidInputError(
+    "Unsupported image input: expected a file path, Buffer, Blob, ImageData or cv.Mat"
+  );
+}
+
+/**
+ * Converts any supported image input into a new OpenCV Mat owned by the caller.
+ * Accepts a file path, encoded image bytes (a Buffer, `Uint8Array`,
+ * `ArrayBuffer` or `Blob`), an `ImageData`-like object (`{ data, width,
+ * height }` with RGBA pixels) or an existing `cv.Mat`, which is cloned so the
+ * caller keeps ownership of the original.
+ * @param {string | Buffer | Blob | ImageData | cv.Mat} input
+ * @param {Object} [options] - Passed to `loadImageMat()` for file paths and
+ *   encoded images
+ * @returns {Promise<cv.Mat>}
  */
-export async function saveMat(mat, path) {
+export async function matFromInput(input, options = {}) {
+  return (await decodeInput(input, options)).mat;
+}
+
+function toRGBA(mat) {
   const cv = getOpenCV();
   const img = new cv.Mat();
 
@@ -41,16 +170,59 @@ export async function saveMat(mat, path) {
     mat.copyTo(img);
   }
 
-  const jimpImg = new Jimp({
+  return img;
+}
+
+/**
+ * Converts an OpenCV Mat to an `ImageData`-like object with RGBA pixels.
+ * @param {cv.Mat} mat
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+export function matToImageData(mat) {
+  const img = toRGBA(mat);
+  const imageData = {
+    data: new Uint8ClampedArray(img.data),
     width: img.cols,
     height: img.rows,
-    data: Buffer.from(img.data),
-  });
+  };
+  img.delete();
+  return imageData;
+}
 
-  const buffer = await jimpImg.getBuffer("image/png");
-  await fs.writeFile(path, buffer);
+/**
+ * Encodes an OpenCV Mat into image bytes (a Buffer in Node), or into a
+ * one-page PDF for "application/pdf". The `dpi` and the `metadata` text are
+ * embedded in the output, see `embedMetadata()`.
+ * @param {cv.Mat} mat
+ * @param {string} [mimeType="image/png"]
+ * @param {{ quality?: number, lossless?: boolean, dpi?: number, metadata?: string }} [options]
+ *   Encoder options, see `encodeOptions()`
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeMat(mat, mimeType = "image/png", options = {}) {
+  const imageData = matToImageData(mat);
+  if (mimeType === "application/pdf") {
+    const page = await createPdfPage(imageData, options.dpi ?? 300);
+    const info = options.metadata ? { PageDewarp: options.metadata } : {};
+    return assemblePdf([page], info);
+  }
+  const bytes = await getIOAdapter().encodeImage(imageData, mimeType, options);
+  return embedMetadata(bytes, mimeType, options);
+}
 
-  img.delete();
+/**
+ * Saves an OpenCV Mat to an image file, creating its directory if needed.
+ * The format follows the file extension, PNG for unknown extensions.
+ * @param {cv.Mat} mat
+ * @param {string} path
+ * @param {{ quality?: number, lossless?: boolean, dpi?: number, metadata?: string }} [options]
+ *   Encoder options
+ * @returns {Promise<void>}
+ */
+export async function saveMat(mat, path, options = {}) {
+  const { mimeType } = OUTPUT_FORMATS[formatFromPath(path) ?? "png"];
+  const buffer = await encodeMat(mat, mimeType, options);
+  await getIOAdapter().writeFile(path, buffer);
 }
 
 export function fltp(point) {
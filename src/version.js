@@ -0,0 +1,7 @@
+/**
+ * @module version
+ * @description Library version, kept in step with package.json. Core modules
+ * cannot read package.json, as there is no file system in the browser.
+ */
+
+export const VERSION = "0.1.1";
@@ -1,11 +1,21 @@
 import { Config } from "./config.js";
 import { getOpenCV } from "./cv-loader.js";
-import { projectXY } from "./projection.js";
+import { PROJECTIONS } from "./projection.js";
 import { norm2pix } from "./utils.js";
 import { debugShow } from "./debug.js";
+import { silentLogger } from "./logger.js";
 
-export async function drawProjectedGrid(name, small, params, pageDims) {
+export async function drawProjectedGrid(
+  name,
+  small,
+  params,
+  pageDims,
+  config = Config,
+  logger = silentLogger,
+  surface = "page"
+) {
   const cv = getOpenCV();
+  const projectXY = PROJECTIONS[surface];
   // Clone image to draw on
   const display = small.clone();
 
@@ -24,7 +34,7 @@ export async function drawProjectedGrid(name, small, params, pageDims) {
 
   for (const x of vLineX) {
     const linePoints = vLineY.map((y) => [x, y]);
-    const projPoints = projectXY(linePoints, params);
+    const projPoints = projectXY(linePoints, params, config);
     const pixPoints = norm2pix(small, projPoints);
     drawPolyline(cv, display, pixPoints, cyan);
   }
@@ -37,12 +47,12 @@ export async function drawProjectedGrid(name, small, params, pageDims) {
 
   for (const y of hLineY) {
     const linePoints = hLineX.map((x) => [x, y]);
-    const projPoints = projectXY(linePoints, params);
+    const projPoints = projectXY(linePoints, params, config);
     const pixPoints = norm2pix(small, projPoints);
     drawPolyline(cv, display, pixPoints, magenta);
   }
 
-  await debugShow(name, 5, "warped_grid", display);
+  await debugShow(name, 5, "warped_grid", display, config, logger);
   display.delete();
 }
 
@@ -0,0 +1,257 @@
+/**
+ * @module watch
+ * @description Watch-folder mode for continuous capture workflows.
+ * New images dropped into a directory are dewarped one at a time once they
+ * are fully written. A manifest in the output directory records processed
+ * files so that a restarted watcher skips them.
+ */
+
+import fs from "fs/promises";
+import { watch } from "fs";
+import path from "path";
+import { WarpedImage } from "./image.js";
+import { silentLogger } from "./logger.js";
+import { createOutputClaims } from "./output-path.js";
+
+export const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png"];
+
+export const MANIFEST_FILENAME = ".page-dewarp-manifest.json";
+
+/**
+ * Returns true for file names the watcher should process.
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isImageFile(filename) {
+  if (filename.startsWith(".")) return false;
+  return IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Reads a manifest, returning an empty one when the file does not exist.
+ * @param {string} manifestPath
+ * @returns {Promise<{ version: number, files: Object }>}
+ */
+export async function loadManifest(manifestPath) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+    return { version: 1, files: {}, ...manifest };
+  } catch (err) {
+    if (err.code === "ENOENT") return { version: 1, files: {} };
+    throw err;
+  }
+}
+
+/**
+ * Writes a manifest through a temporary file, so an interrupted write never
+ * leaves a truncated manifest behind.
+ * @param {string} manifestPath
+ * @param {Object} manifest
+ * @returns {Promise<void>}
+ */
+export async function saveManifest(manifestPath, manifest) {
+  const tmpPath = `${manifestPath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(manifest, null, 2));
+  await fs.rename(tmpPath, manifestPath);
+}
+
+/**
+ * Returns true when the manifest already has an entry for this exact file
+ * version (same size and modification time).
+ * @param {Object} manifest
+ * @param {string} filename
+ * @param {{ size: number, mtimeMs: number }} stats
+ * @returns {boolean}
+ */
+export function isProcessed(manifest, filename, stats) {
+  const entry = manifest.files[filename];
+  return (
+    entry !== undefined &&
+    entry.size === stats.size &&
+    entry.mtimeMs === stats.mtimeMs
+  );
+}
+
+/**
+ * Returns the output files the manifest records, as absolute paths. The
+ * watcher skips them, so that outputs written into the watched directory are
+ * not dewarped again.
+ * @param {Object} manifest
+ * @returns {Set<string>}
+ */
+export function outputFiles(manifest) {
+  const outputs = Object.values(manifest.files)
+    .flatMap((entry) => entry.output ?? [])
+    .filter(Boolean);
+  return new Set(outputs.map((file) => path.resolve(file)));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Waits until a file's size and modification time stop changing for
+ * `settleTime` milliseconds.
+ * @param {string} filePath
+ * @param {number} settleTime
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("fs").Stats | null>} Final stats, or null if the
+ *   file disappeared or the signal was aborted
+ */
+export async function waitForStableFile(filePath, settleTime, signal = null) {
+  let previous = null;
+  while (!signal?.aborted) {
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    if (
+      previous !== null &&
+      stats.size > 0 &&
+      stats.size === previous.size &&
+      stats.mtimeMs === previous.mtimeMs
+    ) {
+      return stats;
+    }
+    previous = stats;
+    await sleep(settleTime);
+  }
+  return null;
+}
+
+/**
+ * Watches `inputDir` and dewarps every new image into `outputDir`.
+ *
+ * Images already in the directory are picked up at startup unless the
+ * manifest lists them, either as inputs or as outputs: by default outputs are
+ * written into the watched directory. Files are processed one at a time, each
+ * with a fresh `WarpedImage` and the given config. Failures are logged and
+ * recorded in the manifest; they are not retried until the file changes.
+ *
+ * @param {string} inputDir
+ * @param {Object} [options]
+ * @param {string} [options.outputDir=inputDir] - Where outputs are written
+ * @param {Object} [options.config] - Config overrides for every image
+ * @param {Object} [options.logger] - Logger; silent by default
+ * @param {string} [options.manifestPath] - Defaults to
+ *   `{outputDir}/.page-dewarp-manifest.json`
+ * @param {number} [options.settleTime=1000] - Milliseconds a file must stay
+ *   unchanged before it counts as fully written
+ * @param {AbortSignal} [options.signal] - Stops watching
+ * @param {Function} [options.onResult] - Called with `(filename, entry)` for
+ *   every processed file
+ * @returns {Promise<void>} Resolves once the signal is aborted and the file
+ *   in progress is done; rejects when the directory can no longer be watched,
+ *   for example because it was deleted
+ */
+export async function watchFolder(inputDir, options = {}) {
+  const {
+    outputDir = inputDir,
+    config = {},
+    logger = silentLogger,
+    manifestPath = path.join(outputDir, MANIFEST_FILENAME),
+    settleTime = 1000,
+    signal = null,
+    onResult = null,
+  } = options;
+
+  await fs.mkdir(outputDir, { recursive: true });
+  const manifest = await loadManifest(manifestPath);
+  const pending = new Set();
+  const outputClaims = createOutputClaims();
+  let queue = Promise.resolve();
+
+  const processFile = async (filename, stats) => {
+    const filePath = path.join(inputDir, filename);
+    logger.info(`Processing ${filePath}...`);
+    const warpedImage = new WarpedImage(filePath, {
+      config: { ...config, OUTPUT_DIR: outputDir },
+      logger,
+      outputClaims,
+    });
+    const entry = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      processedAt: new Date().toISOString(),
+    };
+    try {
+      const result = await warpedImage.process();
+      entry.status = result.status;
+      // Spreads have an output for each page
+      entry.output = result.pages
+        ? result.pages.map((page) => page.output?.file ?? null)
+        : result.output?.file ?? null;
+      logger.info(`Finished processing ${filePath} (${result.status})`);
+    } catch (err) {
+      entry.status = "failed";
+      entry.error = `${err.name}: ${err.message}`;
+      // An output may be written before a later step fails
+      entry.output = warpedImage.outfile ?? null;
+      logger.error(`Failed to process ${filePath}:`, err);
+    } finally {
+      warpedImage.destroy();
+    }
+    manifest.files[filename] = entry;
+    await saveManifest(manifestPath, manifest);
+    if (onResult) onResult(filename, entry);
+  };
+
+  const isOutput = (filename) =>
+    outputFiles(manifest).has(path.resolve(inputDir, filename));
+
+  const schedule = async (filename) => {
+    if (!isImageFile(filename) || pending.has(filename)) return;
+    if (isOutput(filename)) return;
+    pending.add(filename);
+    try {
+      const stats = await waitForStableFile(
+        path.join(inputDir, filename),
+        settleTime,
+        signal
+      );
+      if (stats === null || isProcessed(manifest, filename, stats)) return;
+      // Outputs of the file in progress are only known once it is done
+      const job = queue.then(() =>
+        signal?.aborted || isOutput(filename)
+          ? null
+          : processFile(filename, stats)
+      );
+      queue = job.catch(() => {});
+      await job;
+    } catch (err) {
+      logger.error(`Failed to watch ${filename}:`, err);
+    } finally {
+      pending.delete(filename);
+    }
+  };
+
+  let fail;
+  const failure = new Promise((resolve, reject) => {
+    fail = reject;
+  });
+  failure.catch(() => {});
+  const watcher = watch(inputDir, (eventType, filename) => {
+    // Some platforms report a deleted directory only as a rename event
+    if (eventType === "rename") fs.access(inputDir).catch(fail);
+    if (filename) schedule(filename);
+  });
+  watcher.on("error", fail);
+  logger.info(`Watching ${inputDir} for new images...`);
+
+  try {
+    for (const filename of await fs.readdir(inputDir)) {
+      schedule(filename);
+    }
+    const stopped = new Promise((resolve) => {
+      if (!signal) return;
+      if (signal.aborted) resolve();
+      signal.addEventListener("abort", resolve, { once: true });
+    });
+    await Promise.race([stopped, failure]);
+  } finally {
+    watcher.close();
+    await queue;
+  }
+}
@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Jimp } from "jimp";
+import { processBatch } from "../src/batch.js";
+
+// A page with lines of print, encoded as PNG
+async function page() {
+  const image = new Jimp({ width: 300, height: 400, color: 0xebebebff });
+  for (let y = 40; y < 360; y += 16) {
+    for (let x = 30; x < 270; x++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        image.setPixelColor(0x141414ff, x, y + dy);
+      }
+    }
+  }
+  return image.getBuffer("image/png");
+}
+
+describe("processBatch", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "page-dewarp-batch-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("should resolve to an empty list for no inputs", async () => {
+    await expect(processBatch([], { jobs: 2 })).resolves.toEqual([]);
+  });
+
+  it("should reject invalid job counts", async () => {
+    await expect(processBatch(["a.jpg"], { jobs: 0 })).rejects.toThrow(
+      "Invalid job count"
+    );
+    await expect(processBatch(["a.jpg"], { jobs: 1.5 })).rejects.toThrow(
+      "Invalid job count"
+    );
+  });
+
+  it("should not start workers when the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      processBatch(["a.jpg"], { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  it("should return results in input order and collect failures", async () => {
+    const inputs = [
+      path.join(dir, "missing.jpg"),
+      Buffer.from("not an image"),
+      await page(),
+    ];
+    const completed = [];
+
+    const results = await processBatch(inputs, {
+      jobs: 2,
+      pdfPages: true,
+      onResult: (entry) => completed.push(entry.input),
+    });
+
+    expect(results.map((entry) => entry.input)).toEqual(inputs);
+    expect(results.map((entry) => entry.status)).toEqual([
+      "failed",
+      "failed",
+      "ok",
+    ]);
+    expect(results[0].error.name).toBe("InvalidInputError");
+    expect(results[1].error.name).toBe("InvalidInputError");
+    expect(results[2].error).toBeNull();
+    expect(results[2].result.pdfPages).toHaveLength(1);
+    expect(completed).toHaveLength(3);
+    expect(new Set(completed)).toEqual(new Set(inputs));
+  }, 60000);
+
+  it("should give an input listed twice its own output", async () => {
+    const input = path.join(dir, "page.png");
+    await fs.writeFile(input, await page());
+
+    const results = await processBatch([input, input], {
+      jobs: 2,
+      config: { OUTPUT_DIR: path.join(dir, "out") },
+    });
+
+    expect(results.map((entry) => entry.result.output.file)).toEqual([
+      path.join(dir, "out", "page_thresh.png"),
+      path.join(dir, "out", "page_2_thresh.png"),
+    ]);
+  }, 60000);
+
+  it("should give every encoded image its own output", async () => {
+    const image = await page();
+
+    const results = await processBatch([image, image], {
+      jobs: 2,
+      config: { OUTPUT_DIR: path.join(dir, "out") },
+    });
+
+    expect(results.map((entry) => entry.result.output.file)).toEqual([
+      path.join(dir, "out", "input_0_thresh.png"),
+      path.join(dir, "out", "input_1_thresh.png"),
+    ]);
+    expect((await fs.readdir(path.join(dir, "out"))).sort()).toEqual([
+      "input_0_thresh.png",
+      "input_1_thresh.png",
+    ]);
+  }, 60000);
+});
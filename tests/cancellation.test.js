@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { createRunGuard } from "../src/cancellation.js";
+
+describe("createRunGuard", () => {
+  it("should not stop without a signal or budget", () => {
+    const guard = createRunGuard();
+
+    expect(() => guard.check()).not.toThrow();
+    expect(guard.shouldStop()).toBe(false);
+    expect(guard.expired()).toBe(false);
+  });
+
+  it("should throw the abort reason once the signal is aborted", () => {
+    const controller = new AbortController();
+    const guard = createRunGuard({ signal: controller.signal });
+
+    expect(() => guard.check()).not.toThrow();
+    controller.abort();
+
+    expect(guard.shouldStop()).toBe(true);
+    expect(() => guard.check()).toThrow(
+      expect.objectContaining({ name: "AbortError" })
+    );
+  });
+
+  it("should throw a TimeoutError when the budget runs out", async () => {
+    const guard = createRunGuard({ timeBudget: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(guard.expired()).toBe(true);
+    expect(() => guard.check()).toThrow(
+      expect.objectContaining({ name: "TimeoutError" })
+    );
+  });
+
+  it("should only request an early stop under the best policy", async () => {
+    const guard = createRunGuard({ timeBudget: 1, budgetPolicy: "best" });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(() => guard.check()).not.toThrow();
+    expect(guard.shouldStop()).toBe(true);
+  });
+
+  it("should reject unknown budget policies", () => {
+    expect(() => createRunGuard({ budgetPolicy: "later" })).toThrow(
+      "Unknown budget policy"
+    );
+  });
+});
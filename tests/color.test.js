@@ -0,0 +1,94 @@
+import { beforeAll, describe, it, expect } from "vitest";
+import opencv from "opencv-wasm";
+import { normalizeBackground, whiteBalance } from "../src/color.js";
+import { Config } from "../src/config.js";
+import { setOpenCV } from "../src/cv-loader.js";
+import { RemappedImage } from "../src/dewarp.js";
+
+describe("Colour output", () => {
+  let cv;
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+    cv = opencv.cv;
+  });
+
+  function uniform(rows, cols, pixel) {
+    return new cv.Mat(rows, cols, cv.CV_8UC3, new cv.Scalar(...pixel));
+  }
+
+  function pixelAt(mat, row, col) {
+    return Array.from(mat.ucharPtr(row, col));
+  }
+
+  it("should scale each channel so the paper becomes white", () => {
+    const tinted = uniform(10, 10, [200, 180, 150]);
+    tinted.ucharPtr(5, 5).set([20, 18, 15]); // Print
+
+    const balanced = whiteBalance(tinted);
+
+    expect(pixelAt(balanced, 0, 0)).toEqual([255, 255, 255]);
+    expect(pixelAt(balanced, 5, 5)).toEqual([26, 26, 26]);
+    tinted.delete();
+    balanced.delete();
+  });
+
+  it("should even out the lighting of the background", () => {
+    const shaded = new cv.Mat(20, 40, cv.CV_8UC1);
+    for (let col = 0; col < 40; col++) {
+      for (let row = 0; row < 20; row++) {
+        shaded.ucharPtr(row, col)[0] = 120 + 3 * col;
+      }
+    }
+
+    const normalized = normalizeBackground(shaded, 9);
+
+    for (const col of [5, 20, 35]) {
+      expect(normalized.ucharPtr(10, col)[0]).toBeGreaterThan(220);
+    }
+    shaded.delete();
+    normalized.delete();
+  });
+
+  it("should remap all channels and return RGB", async () => {
+    // A pure blue BGR image, as produced by load()
+    const img = uniform(64, 48, [255, 0, 0]);
+    const remapper = new RemappedImage(
+      "page",
+      img,
+      null,
+      [1, 1.4],
+      [0, 0, 0, -0.5, -0.7, 1.2, 0, 0],
+      { config: { ...Config, COLOR_OUTPUT: true }, writeOutput: false }
+    );
+
+    const result = await remapper.process();
+
+    expect(result.channels()).toBe(3);
+    expect(pixelAt(result, 0, 0)).toEqual([0, 0, 255]);
+    img.delete();
+    result.delete();
+  });
+
+  it("should correct greyscale output too", async () => {
+    const img = uniform(64, 48, [150, 150, 150]);
+    const remapper = new RemappedImage(
+      "page",
+      img,
+      null,
+      [1, 1.4],
+      [0, 0, 0, -0.5, -0.7, 1.2, 0, 0],
+      {
+        config: { ...Config, NO_BINARY: 1, WHITE_BALANCE: true },
+        writeOutput: false,
+      }
+    );
+
+    const result = await remapper.process();
+
+    expect(result.channels()).toBe(1);
+    expect(pixelAt(result, 0, 0)).toEqual([255]);
+    img.delete();
+    result.delete();
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from "vitest";
-import { Config, updateConfig } from "../src/config.js";
+import { Config, createConfig, updateConfig } from "../src/config.js";
 
 describe("updateConfig", () => {
   let originalConfig;
@@ -89,3 +89,29 @@ describe("Config defaults", () => {
   });
 });
 
+describe("createConfig", () => {
+  it("should default to the global config values", () => {
+    expect(createConfig()).toEqual(Config);
+  });
+
+  it("should apply overrides without mutating the global config", () => {
+    const originalFocal = Config.FOCAL_LENGTH;
+
+    const config = createConfig({ FOCAL_LENGTH: 2.5 });
+
+    expect(config.FOCAL_LENGTH).toBe(2.5);
+    expect(config.TEXT_MIN_WIDTH).toBe(Config.TEXT_MIN_WIDTH);
+    expect(Config.FOCAL_LENGTH).toBe(originalFocal);
+  });
+
+  it("should return independent objects", () => {
+    const a = createConfig({ OUTPUT_ZOOM: 2 });
+    const b = createConfig({ OUTPUT_ZOOM: 3 });
+
+    a.DEBUG_LEVEL = 3;
+
+    expect(a.OUTPUT_ZOOM).toBe(2);
+    expect(b.OUTPUT_ZOOM).toBe(3);
+    expect(b.DEBUG_LEVEL).toBe(Config.DEBUG_LEVEL);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import {
+  DewarpError,
+  InvalidInputError,
+  NoTextFoundError,
+  OptimisationDivergedError,
+} from "../src/errors.js";
+
+describe("error classes", () => {
+  it("should set name and code for each class", () => {
+    const cases = [
+      [new InvalidInputError("bad"), "InvalidInputError", "INVALID_INPUT"],
+      [new NoTextFoundError("none"), "NoTextFoundError", "NO_TEXT_FOUND"],
+      [
+        new OptimisationDivergedError("worse"),
+        "OptimisationDivergedError",
+        "OPTIMISATION_DIVERGED",
+      ],
+    ];
+
+    for (const [err, name, code] of cases) {
+      expect(err).toBeInstanceOf(DewarpError);
+      expect(err).toBeInstanceOf(Error);
+      expect(err.name).toBe(name);
+      expect(err.code).toBe(code);
+    }
+  });
+
+  it("should keep the underlying cause", () => {
+    const cause = new Error("ENOENT");
+    const err = new InvalidInputError("Could not load a.jpg", { cause });
+
+    expect(err.cause).toBe(cause);
+  });
+
+  it("should carry detection and optimisation details", () => {
+    const noText = new NoTextFoundError("none", { contourCount: 4 });
+    const diverged = new OptimisationDivergedError("worse", {
+      initialCost: 0.05,
+      finalCost: NaN,
+    });
+
+    expect(noText.contourCount).toBe(4);
+    expect(noText.spanCount).toBe(0);
+    expect(diverged.initialCost).toBe(0.05);
+    expect(diverged.finalCost).toBeNaN();
+  });
+});
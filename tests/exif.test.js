@@ -0,0 +1,151 @@
+import { beforeAll, describe, it, expect } from "vitest";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import {
+  EXIF_TAGS,
+  focalLengthFromExif,
+  invertOrientation,
+  readExifOrientation,
+  readExifTags,
+} from "../src/exif.js";
+import { setIOAdapter } from "../src/io.js";
+import { loadImageMat, orientMat } from "../src/utils.js";
+
+// A JPEG header with an APP1 segment holding one IFD0 Orientation entry
+function jpegWithOrientation(orientation, littleEndian = false) {
+  const tiff = new Uint8Array(26);
+  const view = new DataView(tiff.buffer);
+  tiff.set(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d]);
+  view.setUint16(2, 42, littleEndian);
+  view.setUint32(4, 8, littleEndian);
+  view.setUint16(8, 1, littleEndian);
+  view.setUint16(10, 0x0112, littleEndian);
+  view.setUint16(12, 3, littleEndian);
+  view.setUint32(14, 1, littleEndian);
+  view.setUint16(18, orientation, littleEndian);
+  const app1 = [0xff, 0xe1, 0, 2 + 6 + tiff.length];
+  const exif = [...new TextEncoder().encode("Exif"), 0, 0];
+  return new Uint8Array([0xff, 0xd8, ...app1, ...exif, ...tiff, 0xff, 0xd9]);
+}
+
+describe("readExifOrientation", () => {
+  it("should read the orientation in either byte order", () => {
+    expect(readExifOrientation(jpegWithOrientation(6))).toBe(6);
+    expect(readExifOrientation(jpegWithOrientation(3, true))).toBe(3);
+    expect(readExifTags(jpegWithOrientation(8)).get(0x0112)).toBe(8);
+  });
+
+  it("should treat missing or invalid orientations as upright", () => {
+    expect(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toBe(
+      1
+    );
+    expect(readExifOrientation(jpegWithOrientation(9))).toBe(1);
+    expect(readExifOrientation(jpegWithOrientation(6).subarray(0, 24))).toBe(1);
+  });
+
+  it("should invert only the quarter turns", () => {
+    expect(invertOrientation(6)).toBe(8);
+    expect(invertOrientation(8)).toBe(6);
+    expect(invertOrientation(3)).toBe(3);
+  });
+});
+
+describe("focalLengthFromExif", () => {
+  const size = { width: 3264, height: 2448 };
+
+  it("should use the 35mm equivalent focal length", () => {
+    const tags = new Map([[EXIF_TAGS.FOCAL_LENGTH_IN_35MM_FILM, 29]]);
+    const { focalLength, tag } = focalLengthFromExif(tags, size);
+
+    // 2 * 29mm * (4080px / 43.27mm) / 3264px
+    expect(focalLength).toBeCloseTo(1.6757, 3);
+    expect(tag).toBe("FocalLengthIn35mmFilm");
+  });
+
+  it("should fall back to the focal length and sensor resolution", () => {
+    const tags = new Map([
+      [EXIF_TAGS.FOCAL_LENGTH, 4.15],
+      [EXIF_TAGS.FOCAL_PLANE_X_RESOLUTION, 680],
+      [EXIF_TAGS.FOCAL_PLANE_RESOLUTION_UNIT, 4],
+      [EXIF_TAGS.PIXEL_X_DIMENSION, 6528],
+    ]);
+    const { focalLength, tag } = focalLengthFromExif(tags, size);
+
+    // 4.15mm at 680px/mm is 2822px on the sensor, 1411px after halving
+    expect(focalLength).toBeCloseTo((2 * 1411) / 3264, 3);
+    expect(tag).toBe("FocalLength");
+  });
+
+  it("should return null without enough data", () => {
+    const tags = new Map([[EXIF_TAGS.FOCAL_LENGTH, 4.15]]);
+
+    expect(focalLengthFromExif(tags, size)).toBeNull();
+    expect(focalLengthFromExif(new Map(), size)).toBeNull();
+  });
+});
+
+describe("loadImageMat orientation", () => {
+  // 3x2 image whose pixel values are their index
+  const imageData = {
+    data: new Uint8ClampedArray(
+      Array.from({ length: 6 }, (_, i) => [i, i, i, 255]).flat()
+    ),
+    width: 3,
+    height: 2,
+  };
+
+  function useAdapter(appliesExifOrientation) {
+    setIOAdapter({
+      appliesExifOrientation,
+      decodeImage: async () => imageData,
+      encodeImage: async () => new Uint8Array(),
+      writeFile: async () => {},
+    });
+  }
+
+  function firstColumn(mat) {
+    return Array.from({ length: mat.rows }, (_, y) => mat.ucharPtr(y, 0)[0]);
+  }
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
+  it("should turn the image upright for decoders that do not", async () => {
+    useAdapter(false);
+    const mat = await loadImageMat(jpegWithOrientation(6));
+
+    expect([mat.cols, mat.rows]).toEqual([2, 3]);
+    expect(firstColumn(mat)).toEqual([3, 4, 5]);
+    mat.delete();
+  });
+
+  it("should undo the decoder's rotation when disabled", async () => {
+    useAdapter(true);
+    const mat = await loadImageMat(jpegWithOrientation(8), {
+      exifOrientation: false,
+    });
+
+    expect([mat.cols, mat.rows]).toEqual([2, 3]);
+    mat.delete();
+  });
+
+  it("should leave images alone when nothing needs to change", async () => {
+    useAdapter(true);
+    const mat = await loadImageMat(jpegWithOrientation(6));
+
+    expect([mat.cols, mat.rows]).toEqual([3, 2]);
+    mat.delete();
+  });
+
+  it("should map mirrored orientations", () => {
+    const cv = opencv.cv;
+    const src = cv.matFromImageData(imageData);
+    const transposed = orientMat(src, 5);
+    const transverse = orientMat(src, 7);
+
+    expect(firstColumn(transposed)).toEqual([0, 1, 2]);
+    expect(firstColumn(transverse)).toEqual([5, 4, 3]);
+    [src, transposed, transverse].forEach((mat) => mat.delete());
+  });
+});
@@ -0,0 +1,73 @@
+import { beforeAll, describe, it, expect } from "vitest";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import { OptimisationDivergedError } from "../src/errors.js";
+import { WarpedImage } from "../src/image.js";
+
+describe("Perspective fallback", () => {
+  let cv;
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+    cv = opencv.cv;
+  });
+
+  // A page with `lines` lines of print
+  function page(lines) {
+    const img = new cv.Mat(400, 300, cv.CV_8UC3, new cv.Scalar(235, 235, 235));
+    for (let i = 0; i < lines; i++) {
+      const y = 100 + 40 * i;
+      cv.line(
+        img,
+        new cv.Point(30, y),
+        new cv.Point(270, y),
+        new cv.Scalar(20, 20, 20),
+        3
+      );
+    }
+    return img;
+  }
+
+  it.each([
+    [2, "perspective"],
+    [3, "cubic"],
+  ])("should fit %i lines with the %s model", async (lines, mode) => {
+    const warpedImage = new WarpedImage(page(lines));
+
+    const result = await warpedImage.process();
+
+    expect(result.spanCount).toBe(lines);
+    expect(result.mode).toBe(mode);
+    expect(result.fallback).toBe(mode === "perspective");
+    warpedImage.destroy();
+  });
+
+  it("should fall back when the optimisation diverges", async () => {
+    // A focal length of 0 puts the camera on the page, so the cost is NaN
+    const config = { FOCAL_LENGTH: 0, FOCAL_LENGTH_SOURCE: "config" };
+    const warpedImage = new WarpedImage(page(6), { config });
+    const detection = await warpedImage.detect();
+
+    const fit = await warpedImage.fit(detection);
+
+    expect(fit.mode).toBe("perspective");
+    expect(fit.fallbackReason).toMatch(/^optimisation diverged/);
+    expect(fit.finalCost).toBeNaN();
+    warpedImage.destroy();
+  });
+
+  it("should reject a diverged fit in cubic mode", async () => {
+    const config = {
+      FOCAL_LENGTH: 0,
+      FOCAL_LENGTH_SOURCE: "config",
+      DEWARP_MODE: "cubic",
+    };
+    const warpedImage = new WarpedImage(page(6), { config });
+    const detection = await warpedImage.detect();
+
+    await expect(warpedImage.fit(detection)).rejects.toBeInstanceOf(
+      OptimisationDivergedError
+    );
+    warpedImage.destroy();
+  });
+});
@@ -0,0 +1,180 @@
+import { readFileSync } from "fs";
+import { Jimp } from "jimp";
+import { describe, it, expect } from "vitest";
+import {
+  crc32,
+  describeOutput,
+  embedMetadata,
+  metadataFor,
+} from "../src/image-metadata.js";
+import { VERSION } from "../src/version.js";
+
+async function encode(mimeType) {
+  const image = new Jimp({ width: 4, height: 3, color: 0xffffffff });
+  return image.getBuffer(mimeType);
+}
+
+function pngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    const crc = view.getUint32(offset + 8 + length);
+    chunks.push({ type, data, crc });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function tiffTags(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const le = bytes[0] === 0x49;
+  const ifd = view.getUint32(4, le);
+  const tags = {};
+  for (let i = 0; i < view.getUint16(ifd, le); i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = view.getUint16(entry, le);
+    const type = view.getUint16(entry + 2, le);
+    const count = view.getUint32(entry + 4, le);
+    const offset = view.getUint32(entry + 8, le);
+    if (type === 5) {
+      tags[tag] = view.getUint32(offset, le) / view.getUint32(offset + 4, le);
+    } else if (type === 3) {
+      tags[tag] = view.getUint16(entry + 8, le);
+    } else if (type === 2) {
+      const text = bytes.subarray(offset, offset + count - 1);
+      tags[tag] = new TextDecoder().decode(text);
+    }
+  }
+  return tags;
+}
+
+describe("crc32", () => {
+  it("should match the standard check value", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+  });
+});
+
+describe("embedMetadata", () => {
+  it("should add a pHYs chunk after IHDR with a valid CRC", async () => {
+    const png = embedMetadata(await encode("image/png"), "image/png", {
+      dpi: 300,
+    });
+    const chunks = pngChunks(png);
+
+    expect(chunks.map((c) => c.type).slice(0, 2)).toEqual(["IHDR", "pHYs"]);
+    const phys = chunks[1];
+    const view = new DataView(phys.data.buffer, phys.data.byteOffset);
+    expect(view.getUint32(0)).toBe(11811);
+    expect(phys.data[8]).toBe(1);
+    for (const { type, data, crc } of chunks) {
+      const typed = new Uint8Array([
+        ...new TextEncoder().encode(type),
+        ...data,
+      ]);
+      expect(crc32(typed)).toBe(crc);
+    }
+  });
+
+  it("should replace earlier metadata instead of duplicating it", async () => {
+    const options = { dpi: 300, metadata: '{"a":1}' };
+    const once = embedMetadata(await encode("image/png"), "image/png", options);
+    const twice = embedMetadata(once, "image/png", { ...options, dpi: 600 });
+    const types = pngChunks(twice).map((c) => c.type);
+
+    expect(types.filter((t) => t === "pHYs")).toHaveLength(1);
+    expect(types.filter((t) => t === "iTXt")).toHaveLength(1);
+    expect(types.at(-2)).toBe("iTXt");
+    expect(types.at(-1)).toBe("IEND");
+  });
+
+  it("should set TIFF resolution tags in inches", async () => {
+    const tiff = embedMetadata(await encode("image/tiff"), "image/tiff", {
+      dpi: 600,
+      metadata: "dewarped",
+    });
+    const tags = tiffTags(tiff);
+
+    expect(tags[282]).toBe(600);
+    expect(tags[283]).toBe(600);
+    expect(tags[296]).toBe(2);
+    expect(tags[270]).toBe("dewarped");
+    expect(tags[256]).toBe(4); // Other tags are kept
+    const decoded = await Jimp.read(Buffer.from(tiff));
+    expect(decoded.bitmap.width).toBe(4);
+  });
+
+  it("should set the JFIF density and add a comment to JPEGs", async () => {
+    const jpeg = embedMetadata(await encode("image/jpeg"), "image/jpeg", {
+      dpi: 300,
+      metadata: "dewarped",
+    });
+
+    expect([...jpeg.subarray(13, 18)]).toEqual([1, 1, 44, 1, 44]);
+    expect([jpeg[20], jpeg[21]]).toEqual([0xff, 0xfe]);
+    const decoded = await Jimp.read(Buffer.from(jpeg));
+    expect(decoded.bitmap.height).toBe(3);
+  });
+
+  it("should leave out a comment too long for a JPEG", async () => {
+    const bytes = await encode("image/jpeg");
+
+    const jpeg = embedMetadata(bytes, "image/jpeg", {
+      dpi: 300,
+      metadata: "x".repeat(70000),
+    });
+
+    expect(jpeg.length).toBeLessThan(bytes.length + 100);
+    const decoded = await Jimp.read(Buffer.from(jpeg));
+    expect(decoded.bitmap.height).toBe(3);
+  });
+
+  it("should keep Node Buffers and leave other formats alone", async () => {
+    const png = await encode("image/png");
+    const webp = new Uint8Array([1, 2, 3]);
+
+    expect(Buffer.isBuffer(embedMetadata(png, "image/png", { dpi: 72 }))).toBe(
+      true
+    );
+    expect(embedMetadata(webp, "image/webp", { dpi: 300 })).toBe(webp);
+  });
+});
+
+describe("metadataFor", () => {
+  it("should warn and drop a text too long for a JPEG comment", () => {
+    const warnings = [];
+    const logger = { warn: (message) => warnings.push(message) };
+    const text = "x".repeat(70000);
+
+    expect(metadataFor(text, "image/png", logger)).toBe(text);
+    expect(metadataFor("dewarped", "image/jpeg", logger)).toBe("dewarped");
+    expect(metadataFor(text, "image/jpeg", logger)).toBeNull();
+    expect(warnings).toEqual([
+      "  Metadata of 70000 bytes does not fit in a JPEG comment, leaving it out",
+    ]);
+  });
+});
+
+describe("describeOutput", () => {
+  it("should record the version, config and model", () => {
+    const text = describeOutput(
+      { OUTPUT_DPI: 300, FOCAL_LENGTH: 1.2 },
+      { params: new Float64Array([0.5, 1]), pageDims: [1, 1.5] }
+    );
+
+    expect(JSON.parse(text)).toEqual({
+      library: "page-dewarp-js",
+      version: VERSION,
+      config: { OUTPUT_DPI: 300, FOCAL_LENGTH: 1.2 },
+      model: { params: [0.5, 1], pageDims: [1, 1.5], focalLength: 1.2 },
+    });
+  });
+
+  it("should report the package version", () => {
+    const pkg = JSON.parse(readFileSync("package.json", "utf8"));
+
+    expect(VERSION).toBe(pkg.version);
+  });
+});
@@ -0,0 +1,206 @@
+import {
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  it,
+  expect,
+  vi,
+} from "vitest";
+import { Jimp } from "jimp";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import { dewarpImage, WarpedImage } from "../src/image.js";
+import { setIOAdapter } from "../src/io.js";
+import { optimiseParams } from "../src/optimise.js";
+
+vi.mock("../src/optimise.js", async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, optimiseParams: vi.fn(actual.optimiseParams) };
+});
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+
+// A page with lines of print, as RGBA pixels
+function page() {
+  const { cv } = opencv;
+  const img = new cv.Mat(
+    400,
+    300,
+    cv.CV_8UC4,
+    new cv.Scalar(235, 235, 235, 255)
+  );
+  for (let y = 40; y < 360; y += 16) {
+    cv.line(
+      img,
+      new cv.Point(30, y),
+      new cv.Point(270, y),
+      new cv.Scalar(20, 20, 20, 255),
+      3
+    );
+  }
+  const imageData = {
+    data: new Uint8ClampedArray(img.data),
+    width: img.cols,
+    height: img.rows,
+  };
+  img.delete();
+  return imageData;
+}
+
+async function encode({ data, width, height }) {
+  return Jimp.fromBitmap({ data: Buffer.from(data), width, height }).getBuffer(
+    "image/png"
+  );
+}
+
+describe("In-memory inputs and outputs", () => {
+  let writeFile;
+
+  // Every kind of input, made from the same page
+  const inputs = {
+    buffer: () => encode(page()),
+    imageData: async () => page(),
+    mat: async () => opencv.cv.matFromImageData(page()),
+  };
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
+  beforeEach(() => {
+    writeFile = vi.fn(async () => {});
+    setIOAdapter({
+      decodeImage: async (source) => {
+        const image =
+          typeof source === "string"
+            ? { bitmap: page() }
+            : await Jimp.read(Buffer.from(source));
+        const { data, width, height } = image.bitmap;
+        return { data: new Uint8ClampedArray(data), width, height };
+      },
+      encodeImage: encode,
+      writeFile,
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it.each(Object.keys(inputs))(
+    "should dewarp a %s input without writing files",
+    async (kind) => {
+      const input = await inputs[kind]();
+      const warpedImage = new WarpedImage(input);
+
+      const result = await warpedImage.process();
+
+      expect(result.status).toBe("ok");
+      expect(result.output.file).toBeNull();
+      expect(warpedImage.outputMat.cols).toBe(result.output.width);
+      expect(writeFile).not.toHaveBeenCalled();
+      warpedImage.destroy();
+      if (kind === "mat") input.delete();
+    }
+  );
+
+  it("should not write a file path input with writeOutput off", async () => {
+    const warpedImage = new WarpedImage("page.png", { writeOutput: false });
+
+    const result = await warpedImage.process();
+
+    expect(result.output.file).toBeNull();
+    expect(writeFile).not.toHaveBeenCalled();
+    warpedImage.destroy();
+  });
+
+  it("should return the output as encoded bytes and as pixels", async () => {
+    const warpedImage = new WarpedImage(page());
+    await warpedImage.process();
+    const { cols: width, rows: height } = warpedImage.outputMat;
+
+    const bytes = await warpedImage.toBuffer("image/png");
+    const imageData = warpedImage.toImageData();
+
+    expect([...bytes.subarray(0, 4)]).toEqual(PNG_SIGNATURE);
+    const decoded = await Jimp.read(Buffer.from(bytes));
+    expect([decoded.bitmap.width, decoded.bitmap.height]).toEqual([
+      width,
+      height,
+    ]);
+    expect([imageData.width, imageData.height]).toEqual([width, height]);
+    expect(imageData.data).toBeInstanceOf(Uint8ClampedArray);
+    expect(imageData.data).toHaveLength(width * height * 4);
+    warpedImage.destroy();
+  });
+
+  it("should reject output requests before process()", () => {
+    const warpedImage = new WarpedImage(page());
+
+    expect(() => warpedImage.toImageData()).toThrow("call process() first");
+    warpedImage.destroy();
+  });
+
+  describe("dewarpImage", () => {
+    it("should encode the output by default", async () => {
+      const bytes = await dewarpImage(await encode(page()));
+
+      expect([...bytes.subarray(0, 4)]).toEqual(PNG_SIGNATURE);
+      expect(writeFile).not.toHaveBeenCalled();
+    });
+
+    it("should return pixels or a Mat owned by the caller", async () => {
+      const imageData = await dewarpImage(page(), { format: "imageData" });
+      const mat = await dewarpImage(page(), { format: "mat" });
+
+      expect(imageData.data).toHaveLength(
+        imageData.width * imageData.height * 4
+      );
+      expect(mat.isDeleted()).toBe(false);
+      expect([mat.cols, mat.rows]).toEqual([imageData.width, imageData.height]);
+      mat.delete();
+      expect(writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("detect, fit and render", () => {
+    const roundTrip = (value) => JSON.parse(JSON.stringify(value));
+
+    it("should take back detections and fits stored as JSON", async () => {
+      const image = new WarpedImage(page());
+      const detection = await image.detect();
+      const fit = await image.fit(detection);
+
+      const refit = await image.fit(roundTrip(detection));
+      const output = await image.render(roundTrip(refit));
+
+      expect(roundTrip(detection)).toEqual(detection);
+      expect(roundTrip(fit)).toEqual(fit);
+      expect(refit.params).toEqual(fit.params);
+      expect(refit.pageDims).toEqual(fit.pageDims);
+      expect(output.width).toBeGreaterThan(0);
+      image.destroy();
+    });
+
+    it("should render one fit with different settings", async () => {
+      const image = new WarpedImage(page());
+      const fit = await image.fit(await image.detect());
+      expect(optimiseParams).toHaveBeenCalled();
+      optimiseParams.mockClear();
+
+      const binary = await image.render(fit);
+      const binaryPixels = new Set(image.toImageData().data);
+      const grey = await image.render(fit, { config: { NO_BINARY: 1 } });
+      const greyPixels = new Set(image.toImageData().data);
+      const zoomed = await image.render(fit, { config: { OUTPUT_ZOOM: 2 } });
+
+      expect(optimiseParams).not.toHaveBeenCalled();
+      expect([...binaryPixels].sort()).toEqual([0, 255]);
+      expect(greyPixels.size).toBeGreaterThan(2);
+      expect(grey.width).toBe(binary.width);
+      expect(zoomed.width).toBeGreaterThan(1.5 * binary.width);
+      image.destroy();
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { DebugMetrics } from "../src/debug-metrics.js";
+import { getIOAdapter, setIOAdapter } from "../src/io.js";
+
+describe("I/O adapter", () => {
+  it("should require an adapter before use", () => {
+    expect(() => getIOAdapter()).toThrow("No I/O adapter registered");
+  });
+
+  it("should reject adapters with missing methods", () => {
+    expect(() => setIOAdapter({ decodeImage: async () => null })).toThrow(
+      "I/O adapter is missing encodeImage()"
+    );
+  });
+
+  it("should route file writes through the registered adapter", async () => {
+    const files = new Map();
+    setIOAdapter({
+      decodeImage: async () => null,
+      encodeImage: async () => new Uint8Array(),
+      writeFile: async (filePath, data) => files.set(filePath, data),
+    });
+
+    DebugMetrics.reset();
+    DebugMetrics.add("page_dims", [1.2, 1.8]);
+    await DebugMetrics.save("debug/a_metrics_js.json");
+
+    expect(JSON.parse(files.get("debug/a_metrics_js.json"))).toEqual({
+      page_dims: [1.2, 1.8],
+    });
+  });
+});
@@ -77,6 +77,15 @@ describe("makeKeypointIndex", () => {
     
     expect(index.length).toBe(1); // Just the dummy entry
   });
+
+  it("should place span coordinates after a longer header", () => {
+    // The joint spread model has 11 parameters before the span coordinates
+    const index = makeKeypointIndex([2, 1], 11);
+
+    expect(index[1]).toEqual([13, 11]);
+    expect(index[2]).toEqual([14, 11]);
+    expect(index[3]).toEqual([15, 12]);
+  });
 });
 
 describe("projectKeypoints", () => {
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createConsoleLogger, silentLogger } from "../src/logger.js";
+
+describe("createConsoleLogger", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should drop messages below the configured level", () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const logger = createConsoleLogger("warn");
+    logger.debug("debug");
+    logger.info("info");
+    logger.warn("warn");
+
+    expect(log).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith("warn");
+  });
+
+  it("should write debug and info messages to console.log", () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    const logger = createConsoleLogger("debug");
+    logger.debug("a");
+    logger.info("b");
+
+    expect(log).toHaveBeenCalledTimes(2);
+  });
+
+  it("should write errors to console.error", () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    createConsoleLogger("info").error("boom", 1);
+
+    expect(error).toHaveBeenCalledWith("boom", 1);
+  });
+
+  it("should be fully silent at the silent level", () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    createConsoleLogger("silent").error("boom");
+
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  it("should reject unknown levels", () => {
+    expect(() => createConsoleLogger("verbose")).toThrow(/Unknown log level/);
+  });
+});
+
+describe("silentLogger", () => {
+  it("should provide all logging methods", () => {
+    for (const method of ["debug", "info", "warn", "error"]) {
+      expect(typeof silentLogger[method]).toBe("function");
+    }
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import { Config } from "../src/config.js";
+import {
+  exportModel,
+  matchesImageSize,
+  MODEL_VERSION,
+  parseModel,
+  serializeModel,
+  warmStartParams,
+} from "../src/model.js";
+
+const fit = {
+  params: [0.1, -0.2, 0.01, -0.6, -0.9, 1.2, 0.05, -0.03, 0.2, 0.4, 0.5],
+  pageDims: [1.19, 1.84],
+  roughDims: [1.2, 1.8],
+  spanCounts: [1, 2],
+  focalLength: 1.2,
+  imageSize: { width: 1952, height: 3008 },
+  initialCost: 0.05,
+  finalCost: 0.004,
+};
+
+describe("exportModel", () => {
+  it("should keep only the fields needed to remap", () => {
+    expect(exportModel(fit)).toEqual({
+      version: MODEL_VERSION,
+      params: fit.params,
+      pageDims: fit.pageDims,
+      focalLength: 1.2,
+      imageSize: { width: 1952, height: 3008 },
+      spanCounts: [1, 2],
+    });
+  });
+});
+
+describe("parseModel", () => {
+  it("should round-trip through JSON", () => {
+    const model = parseModel(serializeModel(fit));
+
+    expect(model).toEqual(exportModel(fit));
+  });
+
+  it("should keep the surface and offset of a page of a spread", () => {
+    const page = {
+      ...fit,
+      params: [...fit.params.slice(0, 6), 0.9, 0.1, 0, -0.1, 0, 0.5],
+      surface: "spread",
+      pageOffset: 0.9,
+    };
+
+    const model = parseModel(serializeModel(page));
+
+    expect(model.surface).toBe("spread");
+    expect(model.pageOffset).toBe(0.9);
+    expect(() => parseModel({ ...model, surface: "scroll" })).toThrow(
+      "surface"
+    );
+  });
+
+  it("should reject unsupported versions", () => {
+    const model = { ...exportModel(fit), version: MODEL_VERSION + 1 };
+
+    expect(() => parseModel(model)).toThrow("Unsupported page model version");
+  });
+
+  it("should reject malformed fields", () => {
+    const model = exportModel(fit);
+
+    expect(() => parseModel({ ...model, params: [1, 2] })).toThrow("params");
+    expect(() => parseModel({ ...model, pageDims: [1, NaN] })).toThrow(
+      "pageDims"
+    );
+    expect(() => parseModel({ ...model, focalLength: 0 })).toThrow(
+      "focalLength"
+    );
+    expect(() => parseModel({ ...model, imageSize: undefined })).toThrow(
+      "imageSize"
+    );
+  });
+});
+
+describe("warmStartParams", () => {
+  it("should copy the curvature but keep pose and span coordinates", () => {
+    const params = [1, 2, 3, 4, 5, 6, 0, 0, 7, 8, 9];
+    const result = warmStartParams(params, exportModel(fit), Config);
+
+    expect(result.slice(0, 6)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(result.slice(6, 8)).toEqual(fit.params.slice(6, 8));
+    expect(result.slice(8)).toEqual([7, 8, 9]);
+    expect(params[6]).toBe(0);
+  });
+
+  it("should copy both pages' curvature but keep the spine of a spread", () => {
+    const model = {
+      ...exportModel(fit),
+      params: [0, 0, 0, 0, 0, 0, 0.5, 0.1, 0.2, 0.3, 0.4],
+      surface: "spread",
+    };
+    const params = [1, 2, 3, 4, 5, 6, 0.6, 0, 0, 0, 0, 7];
+
+    const result = warmStartParams(params, model, Config, "spread");
+
+    expect(result).toEqual([1, 2, 3, 4, 5, 6, 0.6, 0.1, 0.2, 0.3, 0.4, 7]);
+  });
+
+  it("should reject a model of another surface", () => {
+    const spread = { ...exportModel(fit), surface: "spread" };
+    const params = [1, 2, 3, 4, 5, 6, 0.6, 0, 0, 0, 0, 7];
+
+    expect(() => warmStartParams(params, spread, Config)).toThrow(
+      "Cannot warm start a page fit from a spread model"
+    );
+    expect(() =>
+      warmStartParams(params, exportModel(fit), Config, "spread")
+    ).toThrow("Cannot warm start a spread fit from a page model");
+  });
+});
+
+describe("matchesImageSize", () => {
+  it("should accept other resolutions with the same aspect ratio", () => {
+    const model = exportModel(fit);
+
+    expect(matchesImageSize(model, { width: 976, height: 1504 })).toBe(true);
+    expect(matchesImageSize(model, { width: 3008, height: 1952 })).toBe(false);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from "vitest";
-import { minimize } from "../src/optimise.js";
+import { minimize, minimizeAsync } from "../src/optimise.js";
 
 describe("minimize", () => {
   it("should minimize simple quadratic function", () => {
@@ -138,5 +138,80 @@ describe("minimize", () => {
     expect(Array.isArray(result.x)).toBe(true);
     expect(typeof result.fx).toBe("number");
   });
+
+  it("should report the number of iterations run", () => {
+    const objective = (p) => Math.pow(p[0] - 100, 2);
+
+    const result = minimize(objective, [0], {
+      maxIter: 1,
+      tol: 1e-6,
+      log: false,
+    });
+
+    expect(result.iterations).toBe(1);
+  });
+
+  it("should call onIteration with the iteration number and loss", () => {
+    const objective = (p) => Math.pow(p[0] - 3, 2);
+    const calls = [];
+
+    const result = minimize(objective, [0], {
+      maxIter: 100,
+      tol: 1e-6,
+      log: false,
+      onIteration: (iteration, loss) => calls.push([iteration, loss]),
+    });
+
+    expect(calls.length).toBe(result.iterations);
+    expect(calls[0][0]).toBe(1);
+    expect(calls[calls.length - 1][1]).toBe(result.fx);
+  });
+
+  it("should stop early when shouldStop returns true", () => {
+    const objective = (p) =>
+      Math.pow(1 - p[0], 2) + 100 * Math.pow(p[1] - p[0] * p[0], 2);
+    let calls = 0;
+
+    const result = minimize(objective, [-1, 1], {
+      maxIter: 100,
+      tol: 1e-6,
+      log: false,
+      shouldStop: () => ++calls > 2,
+    });
+
+    expect(result.stopped).toBe(true);
+    expect(result.iterations).toBe(2);
+    expect(result.fx).toBeLessThan(objective([-1, 1]));
+  });
 });
 
+describe("minimizeAsync", () => {
+  it("should find the same minimum as minimize", async () => {
+    const objective = (p) => Math.pow(p[0] - 3, 2) + Math.pow(p[1] + 1, 2);
+    const options = { maxIter: 100, tol: 1e-6 };
+
+    const result = await minimizeAsync(objective, [0, 0], options);
+
+    expect(result).toEqual(minimize(objective, [0, 0], options));
+  });
+
+  it("should let a signal aborted by a timer stop the optimisation", async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 0);
+    // Slow enough that every iteration outlasts the timer
+    const objective = (p) => {
+      const end = performance.now() + 0.2;
+      while (performance.now() < end);
+      return p.reduce((sum, value) => sum + Math.pow(value - 100, 2), 0);
+    };
+
+    const result = await minimizeAsync(objective, [0, 0, 0], {
+      maxIter: 1000,
+      tol: 0,
+      shouldStop: () => controller.signal.aborted,
+    });
+
+    expect(result.stopped).toBe(true);
+    expect(result.iterations).toBeLessThan(5);
+  });
+});
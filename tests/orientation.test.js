@@ -0,0 +1,65 @@
+import { beforeAll, describe, it, expect } from "vitest";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import {
+  detectOrientation,
+  rotateMat,
+  rotatePoints,
+} from "../src/orientation.js";
+
+describe("detectOrientation", () => {
+  let cv;
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+    cv = opencv.cv;
+  });
+
+  // A page of lines of print, with ascender strokes rising from them
+  function page() {
+    const img = new cv.Mat(400, 300, cv.CV_8UC3, new cv.Scalar(235, 235, 235));
+    const ink = new cv.Scalar(20, 20, 20);
+    for (let y = 40; y < 360; y += 20) {
+      cv.line(img, new cv.Point(30, y), new cv.Point(270, y), ink, 3);
+      for (let x = 35; x < 270; x += 25) {
+        cv.line(img, new cv.Point(x, y), new cv.Point(x, y - 6), ink, 2);
+      }
+    }
+    return img;
+  }
+
+  it.each([0, 90, 180, 270])(
+    "should find a page that needs turning by %i degrees",
+    (turn) => {
+      const upright = page();
+      const img = rotateMat(upright, (360 - turn) % 360);
+
+      expect(detectOrientation(img, img)).toBe(turn);
+      upright.delete();
+      img.delete();
+    }
+  );
+});
+
+describe("rotatePoints", () => {
+  it("should move points along with the image", () => {
+    const points = [
+      [0, 0],
+      [9, 4],
+    ];
+
+    expect(rotatePoints(points, 0, 10, 5)).toEqual(points);
+    expect(rotatePoints(points, 90, 10, 5)).toEqual([
+      [4, 0],
+      [0, 9],
+    ]);
+    expect(rotatePoints(points, 180, 10, 5)).toEqual([
+      [9, 4],
+      [0, 0],
+    ]);
+    expect(rotatePoints(points, 270, 10, 5)).toEqual([
+      [0, 9],
+      [4, 0],
+    ]);
+  });
+});
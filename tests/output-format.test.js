@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import {
+  encodeOptions,
+  formatFromMimeType,
+  formatFromPath,
+  resolveOutputFormat,
+} from "../src/output-format.js";
+
+const config = {
+  OUTPUT_TEMPLATE: "{stem}_{variant}.{ext}",
+  OUTPUT_FORMAT: null,
+  OUTPUT_QUALITY: 80,
+  WEBP_LOSSLESS: false,
+  OUTPUT_DPI: 150,
+};
+
+describe("formatFromPath", () => {
+  it("should recognise extensions and their aliases", () => {
+    expect(formatFromPath("a/page.JPG")).toBe("jpeg");
+    expect(formatFromPath("page.tif")).toBe("tiff");
+    expect(formatFromPath("page.webp")).toBe("webp");
+    expect(formatFromPath("page.bmp")).toBeNull();
+    expect(formatFromPath("{stem}.{ext}")).toBeNull();
+  });
+});
+
+describe("formatFromMimeType", () => {
+  it("should map MIME types to formats", () => {
+    expect(formatFromMimeType("image/jpeg")).toBe("jpeg");
+    expect(formatFromMimeType("image/gif")).toBeNull();
+  });
+});
+
+describe("resolveOutputFormat", () => {
+  it("should default to PNG", () => {
+    expect(resolveOutputFormat(config)).toEqual({
+      format: "png",
+      mimeType: "image/png",
+      ext: "png",
+    });
+  });
+
+  it("should use OUTPUT_FORMAT and its extension", () => {
+    const { format, ext } = resolveOutputFormat({
+      ...config,
+      OUTPUT_FORMAT: "jpg",
+    });
+
+    expect(format).toBe("jpeg");
+    expect(ext).toBe("jpg");
+  });
+
+  it("should take the format from a literal template extension", () => {
+    const template = { ...config, OUTPUT_TEMPLATE: "{stem}.webp" };
+
+    expect(resolveOutputFormat(template).format).toBe("webp");
+    expect(() =>
+      resolveOutputFormat({ ...template, OUTPUT_FORMAT: "tiff" })
+    ).toThrow("does not match");
+  });
+
+  it("should write PDF when CONVERT_TO_PDF is set", () => {
+    const pdf = { ...config, CONVERT_TO_PDF: true };
+
+    expect(resolveOutputFormat(pdf).ext).toBe("pdf");
+    expect(resolveOutputFormat({ ...pdf, OUTPUT_FORMAT: "png" }).format).toBe(
+      "png"
+    );
+  });
+
+  it("should reject unknown formats", () => {
+    expect(() =>
+      resolveOutputFormat({ ...config, OUTPUT_FORMAT: "gif" })
+    ).toThrow("Unknown output format: gif");
+  });
+});
+
+describe("encodeOptions", () => {
+  it("should pass the DPI, and quality to lossy formats only", () => {
+    expect(encodeOptions("jpeg", config)).toEqual({ dpi: 150, quality: 80 });
+    expect(encodeOptions("webp", config)).toEqual({
+      dpi: 150,
+      quality: 80,
+      lossless: false,
+    });
+    expect(encodeOptions("png", config)).toEqual({ dpi: 150 });
+    expect(encodeOptions("pdf", config)).toEqual({ dpi: 150 });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import path from "path";
+import {
+  claimOutputPath,
+  createOutputClaims,
+  formatOutputName,
+  outputVariant,
+  resolveOutputPath,
+  uniqueOutputNames,
+} from "../src/output-path.js";
+
+describe("formatOutputName", () => {
+  it("should fill in every placeholder", () => {
+    const name = formatOutputName("{stem}_{variant}.{ext}", {
+      stem: "page001",
+      variant: "thresh",
+      ext: "png",
+    });
+
+    expect(name).toBe("page001_thresh.png");
+  });
+
+  it("should reject unknown placeholders", () => {
+    expect(() =>
+      formatOutputName("{stem}_{page}.{ext}", { stem: "a", ext: "png" })
+    ).toThrow("Unknown placeholder {page}");
+  });
+});
+
+describe("resolveOutputPath", () => {
+  it("should place the templated name in the output directory", () => {
+    const config = {
+      OUTPUT_DIR: "out",
+      OUTPUT_TEMPLATE: "{variant}/{stem}.{ext}",
+    };
+
+    expect(
+      resolveOutputPath(config, { stem: "a", variant: "thresh", ext: "png" })
+    ).toBe(path.join("out", "thresh", "a.png"));
+  });
+});
+
+describe("outputVariant", () => {
+  it("should name the output after its mode", () => {
+    expect(outputVariant({ NO_BINARY: 0, COLOR_OUTPUT: false })).toBe("thresh");
+    expect(outputVariant({ NO_BINARY: 1, COLOR_OUTPUT: false })).toBe("gray");
+    expect(outputVariant({ NO_BINARY: 0, COLOR_OUTPUT: true })).toBe("color");
+  });
+});
+
+describe("claimOutputPath", () => {
+  it("should number paths already claimed by another input", () => {
+    const target = path.join("claims-test", "page_thresh.png");
+
+    const claims = createOutputClaims();
+
+    expect(claimOutputPath(target, "vol1/page.jpg", claims)).toBe(target);
+    expect(claimOutputPath(target, "vol1/page.jpg", claims)).toBe(target);
+    expect(claimOutputPath(target, "vol2/page.jpg", claims)).toBe(
+      path.join("claims-test", "page_thresh_2.png")
+    );
+    expect(claimOutputPath(target, "vol3/page.jpg", claims)).toBe(
+      path.join("claims-test", "page_thresh_3.png")
+    );
+  });
+
+  it("should not see the claims of another run", () => {
+    const target = path.join("claims-test", "page_thresh.png");
+    const first = createOutputClaims();
+    const second = createOutputClaims();
+
+    claimOutputPath(target, "vol1/page.jpg", first);
+
+    expect(claimOutputPath(target, "vol2/page.jpg", second)).toBe(target);
+  });
+});
+
+describe("uniqueOutputNames", () => {
+  it("should keep plain stems when they do not clash", () => {
+    expect(uniqueOutputNames(["a/p1.jpg", "a/p2.jpg"])).toEqual(["p1", "p2"]);
+  });
+
+  it("should prefix clashing stems with their folder name", () => {
+    expect(
+      uniqueOutputNames(["vol1/p1.jpg", "vol2/p1.jpg", "vol2/p2.jpg"])
+    ).toEqual(["vol1_p1", "vol2_p1", "p2"]);
+  });
+
+  it("should number names that still clash", () => {
+    expect(uniqueOutputNames(["x/vol/p1.jpg", "y/vol/p1.png"])).toEqual([
+      "vol_p1",
+      "vol_p1_2",
+    ]);
+  });
+
+  it("should give repeated inputs the same name", () => {
+    expect(uniqueOutputNames(["a/p1.jpg", "a/p1.jpg"])).toEqual(["p1", "p1"]);
+  });
+});
@@ -0,0 +1,145 @@
+import { beforeAll, describe, it, expect } from "vitest";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import { WarpedImage } from "../src/image.js";
+import { detectPageOutline, parsePageOutline } from "../src/page-boundary.js";
+
+describe("detectPageOutline", () => {
+  let cv;
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+    cv = opencv.cv;
+  });
+
+  // A light page with lines of print on a dark desk
+  function photo(corners) {
+    const img = new cv.Mat(300, 400, cv.CV_8UC3, new cv.Scalar(60, 50, 40));
+    const page = cv.matFromArray(4, 1, cv.CV_32SC2, corners.flat());
+    const pages = new cv.MatVector();
+    pages.push_back(page);
+    cv.fillPoly(img, pages, new cv.Scalar(220, 225, 230));
+    for (let y = 90; y < 220; y += 12) {
+      cv.line(
+        img,
+        new cv.Point(140, y),
+        new cv.Point(260, y),
+        new cv.Scalar(20, 20, 20),
+        3
+      );
+    }
+    pages.delete();
+    page.delete();
+    return img;
+  }
+
+  function nearest(outline, [x, y]) {
+    return Math.min(...outline.map(([u, v]) => Math.hypot(u - x, v - y)));
+  }
+
+  it("should find the corners of the page", () => {
+    const corners = [
+      [100, 40],
+      [320, 55],
+      [305, 270],
+      [85, 255],
+    ];
+    const img = photo(corners);
+
+    const outline = detectPageOutline(img);
+
+    expect(outline).toHaveLength(4);
+    for (const corner of corners) {
+      expect(nearest(outline, corner)).toBeLessThan(5);
+    }
+    img.delete();
+  });
+
+  it("should leave pages that fill the frame to the margins", () => {
+    const img = photo([
+      [0, 0],
+      [399, 0],
+      [399, 299],
+      [0, 299],
+    ]);
+
+    expect(detectPageOutline(img)).toBeNull();
+    img.delete();
+  });
+
+  it("should give up on regions too small to be the page", () => {
+    const img = photo([
+      [180, 120],
+      [230, 120],
+      [230, 170],
+      [180, 170],
+    ]);
+
+    expect(detectPageOutline(img)).toBeNull();
+    img.delete();
+  });
+});
+
+describe("parsePageOutline", () => {
+  const square = [
+    [10, 20],
+    [300, 20],
+    [300, 400],
+    [10, 400],
+  ];
+
+  it("should parse JSON", () => {
+    expect(parsePageOutline(JSON.stringify(square))).toEqual(square);
+  });
+
+  it("should parse a list of coordinates", () => {
+    expect(parsePageOutline("10,20 300,20 300,400 10,400")).toEqual(square);
+    expect(parsePageOutline("10, 20, 300, 20, 300, 400, 10, 400")).toEqual(
+      square
+    );
+  });
+
+  it("should reject anything but a polygon", () => {
+    expect(() => parsePageOutline("10,20 300,20")).toThrow(/three/);
+    expect(() => parsePageOutline("10,20 300,20 300")).toThrow(/even/);
+    expect(() => parsePageOutline("10,20 x,20 300,400")).toThrow(/three/);
+    expect(() => parsePageOutline("[[10, 20], [300")).toThrow(/JSON/);
+  });
+});
+
+describe("PAGE_OUTLINE", () => {
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
+  it("should replace the page extents, scaled to the small image", async () => {
+    const cv = opencv.cv;
+    const img = new cv.Mat(1400, 1000, cv.CV_8UC3, new cv.Scalar(0, 0, 0));
+    const image = new WarpedImage(img, {
+      config: {
+        PAGE_OUTLINE: [
+          [100, 100],
+          [900, 100],
+          [900, 1300],
+          [100, 1300],
+          [-50, 700],
+        ],
+      },
+    });
+    await image.load();
+    image.calculatePageExtents();
+
+    // Downsampled by 2 to fit SCREEN_MAX_H, and clamped to the image
+    expect(image.page_outline).toEqual([
+      [50, 50],
+      [450, 50],
+      [450, 650],
+      [50, 650],
+      [0, 350],
+    ]);
+    expect(image.pagemask.ucharPtr(350, 250)[0]).toBe(255);
+    expect(image.pagemask.ucharPtr(20, 20)[0]).toBe(0);
+    image.destroy();
+    img.delete();
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import path from "path";
+import {
+  joinPath,
+  normalizePath,
+  parsePath,
+  resolvePath,
+} from "../src/path-utils.js";
+
+describe("normalizePath", () => {
+  it("should match Node's posix normalization", () => {
+    for (const p of ["a/./b//c", "a/../../b", "/a/../../b", "./", "a/b/.."]) {
+      expect(normalizePath(p)).toBe(path.posix.normalize(p).replace(/\/$/, ""));
+    }
+  });
+
+  it("should accept Windows separators and drives", () => {
+    expect(normalizePath("C:\\scans\\.\\vol1\\..\\p1.jpg")).toBe(
+      "C:/scans/p1.jpg"
+    );
+  });
+});
+
+describe("joinPath", () => {
+  it("should join and normalize segments", () => {
+    expect(joinPath(".", "out", "a_thresh.png")).toBe("out/a_thresh.png");
+    expect(joinPath("out/", "", "../b.png")).toBe("b.png");
+  });
+});
+
+describe("resolvePath", () => {
+  it("should resolve relative paths against the working directory", () => {
+    expect(resolvePath("a/b.jpg")).toBe(path.resolve("a/b.jpg"));
+    expect(resolvePath("/x/../y")).toBe("/y");
+  });
+});
+
+describe("parsePath", () => {
+  it("should split like path.parse", () => {
+    for (const p of ["vol1/page.001.jpg", "page", "/scans/.hidden", "a/b/"]) {
+      const { dir, base, name, ext } = path.posix.parse(p);
+      expect(parsePath(p)).toEqual({ dir, base, name, ext });
+    }
+  });
+});
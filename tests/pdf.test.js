@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { assemblePdf, createPdfPage } from "../src/pdf.js";
+
+function makeImage(width, height, pixel) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([...pixel(i), 255], i * 4);
+  }
+  return { data, width, height };
+}
+
+describe("createPdfPage", () => {
+  it("should size the page in points from the DPI", async () => {
+    const page = await createPdfPage(
+      makeImage(300, 150, () => [255, 255, 255]),
+      150
+    );
+
+    expect(page.width).toBe(144);
+    expect(page.height).toBe(72);
+    expect(page.image.width).toBe(300);
+  });
+
+  it("should store thresholded, grey and colour pages compactly", async () => {
+    const binary = await createPdfPage(
+      makeImage(10, 2, (i) => (i % 2 ? [0, 0, 0] : [255, 255, 255])),
+      300
+    );
+    const grey = await createPdfPage(
+      makeImage(10, 2, () => [128, 128, 128]),
+      300
+    );
+    const rgb = await createPdfPage(
+      makeImage(10, 2, () => [255, 0, 0]),
+      300
+    );
+
+    expect(binary.image).toMatchObject({
+      colorSpace: "DeviceGray",
+      bitsPerComponent: 1,
+    });
+    expect(grey.image).toMatchObject({
+      colorSpace: "DeviceGray",
+      bitsPerComponent: 8,
+    });
+    expect(rgb.image).toMatchObject({
+      colorSpace: "DeviceRGB",
+      bitsPerComponent: 8,
+    });
+  });
+
+  it("should reject invalid DPI values", async () => {
+    await expect(
+      createPdfPage(
+        makeImage(1, 1, () => [0, 0, 0]),
+        0
+      )
+    ).rejects.toThrow("Invalid DPI");
+  });
+});
+
+describe("assemblePdf", () => {
+  it("should write every page with a valid cross-reference table", async () => {
+    const image = makeImage(8, 8, () => [255, 255, 255]);
+    const pages = [
+      await createPdfPage(image, 72),
+      await createPdfPage(image, 72),
+    ];
+
+    const pdf = assemblePdf(pages, { Title: "Book" });
+    const text = new TextDecoder("latin1").decode(pdf);
+
+    expect(text.startsWith("%PDF-1.4\n")).toBe(true);
+    expect(text).toContain("/Count 2");
+    expect(text).toContain("/Title (Book)");
+    expect(text).toContain("/MediaBox [0 0 8 8]");
+    const xref = text.slice(text.lastIndexOf("\nxref\n"));
+    const offsets = [...xref.matchAll(/^(\d{10}) 00000 n $/gm)];
+    expect(offsets).toHaveLength(9);
+    offsets.forEach(([, offset], i) => {
+      expect(text.startsWith(`${i + 1} 0 obj`, Number(offset))).toBe(true);
+    });
+    expect(text.trimEnd().endsWith("%%EOF")).toBe(true);
+  });
+
+  it("should reject an empty page list", () => {
+    expect(() => assemblePdf([])).toThrow("without pages");
+  });
+});
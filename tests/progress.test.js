@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { createStageTracker, PIPELINE_STAGES } from "../src/progress.js";
+
+describe("createStageTracker", () => {
+  it("should emit start and end events with increasing progress", () => {
+    const events = [];
+    const tracker = createStageTracker((event) => events.push(event));
+
+    tracker.start("load");
+    tracker.end("load");
+    tracker.start("pageExtents");
+
+    expect(events.map((e) => [e.stage, e.type])).toEqual([
+      ["load", "start"],
+      ["load", "end"],
+      ["pageExtents", "start"],
+    ]);
+    expect(events[0].progress).toBe(0);
+    expect(events[1].progress).toBeCloseTo(1 / PIPELINE_STAGES.length, 10);
+    expect(events[2].progress).toBeCloseTo(events[1].progress, 10);
+    expect(events[1].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  it("should report iterations within the stage's share of progress", () => {
+    const events = [];
+    const tracker = createStageTracker((event) => events.push(event));
+    const stageIndex = PIPELINE_STAGES.indexOf("optimise");
+
+    tracker.iteration("optimise", 5, 10, 0.25);
+
+    expect(events[0]).toMatchObject({
+      stage: "optimise",
+      type: "iteration",
+      iteration: 5,
+      maxIter: 10,
+      loss: 0.25,
+    });
+    expect(events[0].progress).toBeCloseTo(
+      (stageIndex + 0.5) / PIPELINE_STAGES.length,
+      10
+    );
+  });
+
+  it("should end at full progress after the last stage", () => {
+    const events = [];
+    const tracker = createStageTracker((event) => events.push(event));
+    const lastStage = PIPELINE_STAGES[PIPELINE_STAGES.length - 1];
+
+    tracker.start(lastStage);
+    tracker.end(lastStage);
+
+    expect(events[1].progress).toBe(1);
+  });
+
+  it("should record timings and a total", () => {
+    const tracker = createStageTracker();
+
+    tracker.start("load");
+    tracker.end("load");
+    const timings = tracker.finish();
+
+    expect(timings.load).toBeGreaterThanOrEqual(0);
+    expect(timings.total).toBeGreaterThanOrEqual(timings.load);
+  });
+});
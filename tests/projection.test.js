@@ -32,8 +32,8 @@ vi.mock("../src/cv-loader.js", () => ({
   getOpenCV: () => mockOpenCV,
 }));
 
-import { getK, projectXY } from "../src/projection.js";
-import { Config } from "../src/config.js";
+import { getK, projectSpreadXY, projectXY } from "../src/projection.js";
+import { Config, createConfig } from "../src/config.js";
 
 describe("getK", () => {
   it("should return 3x3 matrix", () => {
@@ -50,6 +50,12 @@ describe("getK", () => {
     expect(K.data[8]).toBe(1); // K[2,2]
   });
 
+  it("should use the focal length from a per-run config", () => {
+    const K = getK(createConfig({ FOCAL_LENGTH: 2 }));
+    expect(K.data[0]).toBe(2);
+    expect(K.data[4]).toBe(2);
+  });
+
   it("should have zeros in off-diagonal and principal point", () => {
     const K = getK();
     expect(K.data[1]).toBe(0); // K[0,1]
@@ -127,5 +133,59 @@ describe("projectXY", () => {
     expect(Array.isArray(result[0])).toBe(true);
     expect(result[0].length).toBe(2);
   });
+
+  it("should use the focal length from a per-run config", () => {
+    const pvec = [0, 0, 0, 0, 0, 1, 0, 0];
+    const config = createConfig({ FOCAL_LENGTH: 2 });
+
+    const result = projectXY([[0.5, 0.25]], pvec, config);
+
+    expect(result[0][0]).toBeCloseTo(1, 5);
+    expect(result[0][1]).toBeCloseTo(0.5, 5);
+  });
 });
 
+describe("projectSpreadXY", () => {
+  // Identity pose one unit in front of the camera, spine at x = 0
+  const pose = [0, 0, 0, 0, 0, 1, 0];
+
+  it("should keep both pages flat at the spine", () => {
+    const pvec = [0, 0, 0, 0, 0, 1, 0.5, 0.3, 0.1, -0.2, 0.4];
+
+    const [[u, v]] = projectSpreadXY([[0.5, 0.25]], pvec);
+
+    expect(u).toBeCloseTo(Config.FOCAL_LENGTH * 0.5, 5);
+    expect(v).toBeCloseTo(Config.FOCAL_LENGTH * 0.25, 5);
+  });
+
+  it("should curve each page with its own coefficients", () => {
+    const pvec = [...pose, 0.2, 0, 0, 0];
+
+    const [left, right] = projectSpreadXY(
+      [
+        [-0.5, 0],
+        [0.5, 0],
+      ],
+      pvec
+    );
+
+    // z = 0.2 * (d^3 - 2 d^2 + d) = 0.025 at half a unit from the spine
+    expect(left[0]).toBeCloseTo((Config.FOCAL_LENGTH * -0.5) / 1.025, 5);
+    expect(right[0]).toBeCloseTo(Config.FOCAL_LENGTH * 0.5, 5);
+  });
+
+  it("should mirror pages with the same coefficients about the spine", () => {
+    const pvec = [...pose, 0.3, -0.1, 0.3, -0.1];
+
+    const [left, right] = projectSpreadXY(
+      [
+        [-0.7, 0.2],
+        [0.7, 0.2],
+      ],
+      pvec
+    );
+
+    expect(left[0]).toBeCloseTo(-right[0], 10);
+    expect(left[1]).toBeCloseTo(right[1], 10);
+  });
+});
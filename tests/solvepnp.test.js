@@ -1,7 +1,13 @@
-import { describe, it, expect } from "vitest";
+import { beforeAll, describe, it, expect } from "vitest";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
 import { solvePnP } from "../src/solvepnp/index.js";
 
 describe("solvePnP", () => {
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
   it("should find pose for planar square", () => {
     // Define a square in 3D at Z=0
     const objectPoints = [
@@ -0,0 +1,285 @@
+import { afterEach, beforeAll, describe, it, expect, vi } from "vitest";
+import { Jimp } from "jimp";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import { NoTextFoundError } from "../src/errors.js";
+import { dewarpImage, WarpedImage } from "../src/image.js";
+import { setIOAdapter } from "../src/io.js";
+import { findGutter, spineFromGutter, splitOutline } from "../src/spread.js";
+
+// Light pages with lines of print, shaded towards a gutter at x = 200, drawn
+// `scale` times as large
+function spread(pages, scale = 1) {
+  const { cv } = opencv;
+  const [width, height] = [400 * scale, 300 * scale];
+  const img = new cv.Mat(height, width, cv.CV_8UC3, new cv.Scalar(0, 0, 0));
+  for (let x = 0; x < width; x++) {
+    const shade =
+      230 - 100 * Math.max(0, 1 - Math.abs(x - 200 * scale) / (30 * scale));
+    cv.line(
+      img,
+      new cv.Point(x, 0),
+      new cv.Point(x, height - 1),
+      new cv.Scalar(shade, shade, shade)
+    );
+  }
+  const contours = [];
+  for (const left of pages) {
+    for (let y = 30; y < 270; y += 12) {
+      cv.line(
+        img,
+        new cv.Point(left * scale, y * scale),
+        new cv.Point((left + 140) * scale, y * scale),
+        new cv.Scalar(20, 20, 20),
+        3 * scale
+      );
+      contours.push({ rect: { x: left, y: y - 1, width: 141, height: 3 } });
+    }
+  }
+  const pagemask = new cv.Mat(height, width, cv.CV_8UC1, new cv.Scalar(255));
+  return { img, pagemask, contours };
+}
+
+describe("findGutter", () => {
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
+  it("should find the gutter between two pages", () => {
+    const { img, pagemask, contours } = spread([30, 230]);
+
+    const gutter = findGutter(img, pagemask, contours);
+
+    expect(gutter.top[0]).toBeCloseTo(200, -1);
+    expect(gutter.top[1]).toBe(0);
+    expect(gutter.bottom[0]).toBeCloseTo(200, -1);
+    expect(gutter.bottom[1]).toBe(299);
+    img.delete();
+    pagemask.delete();
+  });
+
+  it("should not split a single page", () => {
+    const { img, pagemask, contours } = spread([30]);
+
+    expect(findGutter(img, pagemask, contours)).toBeNull();
+    img.delete();
+    pagemask.delete();
+  });
+});
+
+describe("splitOutline", () => {
+  it("should split a polygon along the gutter", () => {
+    const outline = [
+      [0, 0],
+      [400, 0],
+      [400, 300],
+      [0, 300],
+    ];
+
+    const { left, right } = splitOutline(outline, {
+      top: [180, 0],
+      bottom: [220, 300],
+    });
+
+    expect(left).toEqual([
+      [0, 0],
+      [180, 0],
+      [220, 300],
+      [0, 300],
+    ]);
+    expect(right).toEqual([
+      [180, 0],
+      [400, 0],
+      [400, 300],
+      [220, 300],
+    ]);
+  });
+});
+
+describe("spineFromGutter", () => {
+  it("should place the gutter along the page axis", () => {
+    const small = { rows: 300, cols: 400 };
+    // The whole image, in normalized coordinates
+    const corners = [
+      [-1, -0.75],
+      [1, -0.75],
+      [1, 0.75],
+      [-1, 0.75],
+    ];
+
+    const { spine, spineBounds } = spineFromGutter(
+      { top: [190, 0], bottom: [210, 299] },
+      small,
+      corners
+    );
+
+    expect(spine).toBeCloseTo(1, 10);
+    expect(spineBounds[0]).toBeCloseTo(0.95 - 0.1, 10);
+    expect(spineBounds[1]).toBeCloseTo(1.05 + 0.1, 10);
+  });
+});
+
+describe("WarpedImage with SPREAD", () => {
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should fit both pages jointly with the spine at the gutter", async () => {
+    const { img, pagemask } = spread([30, 230]);
+    const image = new WarpedImage(img, { config: { SPREAD: true } });
+
+    const result = await image.process();
+
+    expect(result.pages).toHaveLength(2);
+    const [left, right] = result.pages.map((page) => page.pageDims[0]);
+    expect(left / (left + right)).toBeCloseTo(0.5, 1);
+    expect(image.pages.map((page) => page.outputMat.cols)).toHaveLength(2);
+    image.destroy();
+    img.delete();
+    pagemask.delete();
+  });
+
+  it.each(["joint", "separate"])(
+    "should report the gutter in input pixels (%s)",
+    async (spreadFit) => {
+      // Detection runs on a copy at half the size, the usual fixture
+      const { img, pagemask } = spread([30, 230], 2);
+      const image = new WarpedImage(img, {
+        config: {
+          SPREAD: true,
+          SPREAD_FIT: spreadFit,
+          SCREEN_MAX_W: 400,
+          SCREEN_MAX_H: 300,
+        },
+      });
+
+      const result = await image.process();
+
+      expect(image.small.cols).toBe(400);
+      expect(result.gutter.top[0]).toBeCloseTo(400, -1);
+      expect(result.gutter.bottom[0]).toBeCloseTo(400, -1);
+      expect(result.gutter.bottom[1]).toBeGreaterThan(300);
+      image.destroy();
+      img.delete();
+      pagemask.delete();
+    }
+  );
+
+  it.each(["joint", "separate"])(
+    "should save the debug metrics of a spread (%s)",
+    async (spreadFit) => {
+      const writeFile = vi.fn(async () => {});
+      setIOAdapter({
+        decodeImage: async () => {},
+        encodeImage: ({ data, width, height }) =>
+          Jimp.fromBitmap({
+            data: Buffer.from(data),
+            width,
+            height,
+          }).getBuffer("image/png"),
+        writeFile,
+      });
+      const { img, pagemask } = spread([30, 230]);
+      const image = new WarpedImage(img, {
+        name: "spread",
+        writeOutput: true,
+        config: { SPREAD: true, SPREAD_FIT: spreadFit },
+      });
+
+      await image.process();
+
+      const files = writeFile.mock.calls.map(([file]) => file);
+      expect(files).toContain("debug/spread_metrics_js.json");
+      image.destroy();
+      img.delete();
+      pagemask.delete();
+    }
+  );
+
+  it("should report each stage once for a spread without a gutter", async () => {
+    const { img, pagemask } = spread([30]);
+    const events = [];
+    const image = new WarpedImage(img, {
+      config: { SPREAD: true },
+      onProgress: (event) => events.push(event),
+    });
+
+    const result = await image.process();
+
+    expect(result.pages).toBeNull();
+    const starts = events
+      .filter((event) => event.type === "start")
+      .map((event) => event.stage);
+    expect(starts).toEqual([...new Set(starts)]);
+    expect(starts).toContain("contours");
+    const progress = events.map((event) => event.progress);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    image.destroy();
+    img.delete();
+    pagemask.delete();
+  });
+
+  it.each(["joint", "separate"])(
+    "should dewarp the other page when one has no text (%s)",
+    async (spreadFit) => {
+      const detect = WarpedImage.prototype.detect;
+      vi.spyOn(WarpedImage.prototype, "detect").mockImplementation(function (
+        ...args
+      ) {
+        if (this.stem.endsWith("_R")) {
+          throw new NoTextFoundError(`No text found in ${this.stem}`);
+        }
+        return detect.apply(this, args);
+      });
+      const { img, pagemask } = spread([30, 230]);
+      const image = new WarpedImage(img, {
+        name: "spread",
+        config: { SPREAD: true, SPREAD_FIT: spreadFit },
+      });
+
+      const result = await image.process();
+
+      expect(result.pages.map((page) => page.name)).toEqual(["spread_L"]);
+      expect(image.pages).toHaveLength(1);
+      expect(image.pages[0].outputMat.cols).toBeGreaterThan(0);
+      image.destroy();
+      img.delete();
+      pagemask.delete();
+    }
+  );
+});
+
+describe("dewarpImage with SPREAD", () => {
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+  });
+
+  it("should resolve to both pages with increasing progress", async () => {
+    const { img, pagemask } = spread([30, 230]);
+    const events = [];
+
+    const pages = await dewarpImage(img, {
+      format: "imageData",
+      config: { SPREAD: true, SPREAD_FIT: "separate" },
+      onProgress: (event) => events.push(event),
+    });
+
+    expect(pages).toHaveLength(2);
+    for (const page of pages) {
+      expect(page.width).toBeGreaterThan(0);
+      expect(page.data).toHaveLength(page.width * page.height * 4);
+    }
+    const progress = events.map((event) => event.progress);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(new Set(events.map((event) => event.page))).toEqual(
+      new Set([undefined, 0, 1])
+    );
+    img.delete();
+    pagemask.delete();
+  });
+});
@@ -0,0 +1,208 @@
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  beforeEach,
+  afterEach,
+} from "vitest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Jimp } from "jimp";
+import opencv from "opencv-wasm";
+import { setOpenCV } from "../src/cv-loader.js";
+import { setIOAdapter } from "../src/io.js";
+import {
+  isImageFile,
+  isProcessed,
+  loadManifest,
+  MANIFEST_FILENAME,
+  outputFiles,
+  saveManifest,
+  waitForStableFile,
+  watchFolder,
+} from "../src/watch.js";
+
+describe("isImageFile", () => {
+  it("should accept supported image extensions in any case", () => {
+    expect(isImageFile("page_001.jpg")).toBe(true);
+    expect(isImageFile("PAGE_002.JPEG")).toBe(true);
+    expect(isImageFile("scan.png")).toBe(true);
+  });
+
+  it("should skip other files and hidden temporary files", () => {
+    expect(isImageFile("notes.txt")).toBe(false);
+    expect(isImageFile(".page_003.jpg")).toBe(false);
+    expect(isImageFile("page_003.jpg.part")).toBe(false);
+  });
+});
+
+describe("manifest", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "page-dewarp-watch-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("should start empty when no manifest exists", async () => {
+    const manifest = await loadManifest(path.join(dir, "manifest.json"));
+
+    expect(manifest).toEqual({ version: 1, files: {} });
+  });
+
+  it("should round-trip through the file", async () => {
+    const manifestPath = path.join(dir, "manifest.json");
+    const manifest = {
+      version: 1,
+      files: { "a.jpg": { size: 10, mtimeMs: 1, status: "ok" } },
+    };
+
+    await saveManifest(manifestPath, manifest);
+
+    expect(await loadManifest(manifestPath)).toEqual(manifest);
+    expect(await fs.readdir(dir)).toEqual(["manifest.json"]);
+  });
+
+  it("should match entries by size and modification time", () => {
+    const manifest = {
+      version: 1,
+      files: { "a.jpg": { size: 10, mtimeMs: 1, status: "ok" } },
+    };
+
+    expect(isProcessed(manifest, "a.jpg", { size: 10, mtimeMs: 1 })).toBe(true);
+    expect(isProcessed(manifest, "a.jpg", { size: 12, mtimeMs: 2 })).toBe(
+      false
+    );
+    expect(isProcessed(manifest, "b.jpg", { size: 10, mtimeMs: 1 })).toBe(
+      false
+    );
+  });
+});
+
+describe("waitForStableFile", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "page-dewarp-watch-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("should resolve with the stats of a file that stopped changing", async () => {
+    const filePath = path.join(dir, "a.jpg");
+    await fs.writeFile(filePath, "data");
+
+    const stats = await waitForStableFile(filePath, 10);
+
+    expect(stats.size).toBe(4);
+  });
+
+  it("should resolve with null for a missing file", async () => {
+    expect(await waitForStableFile(path.join(dir, "b.jpg"), 10)).toBeNull();
+  });
+});
+
+describe("watchFolder", () => {
+  let dir;
+
+  // Every input decodes to a page with lines of print
+  function page() {
+    const cv = opencv.cv;
+    const img = new cv.Mat(
+      400,
+      300,
+      cv.CV_8UC4,
+      new cv.Scalar(235, 235, 235, 255)
+    );
+    for (let y = 40; y < 360; y += 16) {
+      cv.line(
+        img,
+        new cv.Point(30, y),
+        new cv.Point(270, y),
+        new cv.Scalar(20, 20, 20, 255),
+        3
+      );
+    }
+    const imageData = {
+      data: new Uint8ClampedArray(img.data),
+      width: img.cols,
+      height: img.rows,
+    };
+    img.delete();
+    return imageData;
+  }
+
+  beforeAll(() => {
+    setOpenCV(opencv.cv);
+    const imageData = page();
+    setIOAdapter({
+      decodeImage: async () => imageData,
+      encodeImage: ({ data, width, height }, mimeType) =>
+        Jimp.fromBitmap({ data: Buffer.from(data), width, height }).getBuffer(
+          mimeType
+        ),
+      writeFile: async (filePath, data) => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, data);
+      },
+    });
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "page-dewarp-watch-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("should not dewarp its own outputs in the watched directory", async () => {
+    await fs.writeFile(path.join(dir, "a.png"), "data");
+    const controller = new AbortController();
+    const results = [];
+
+    const watching = watchFolder(dir, {
+      config: { DEBUG_DIR: path.join(dir, "debug") },
+      settleTime: 20,
+      signal: controller.signal,
+      onResult: (filename, entry) => results.push([filename, entry.status]),
+    });
+    await vi.waitFor(() => expect(results).toHaveLength(1), {
+      timeout: 20000,
+    });
+    // Long enough for the output to settle and be scheduled
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    controller.abort();
+    await watching;
+
+    expect(results).toEqual([["a.png", "ok"]]);
+    const manifest = await loadManifest(path.join(dir, MANIFEST_FILENAME));
+    expect(outputFiles(manifest)).toEqual(
+      new Set([path.join(dir, "a_thresh.png")])
+    );
+    expect((await fs.readdir(dir)).sort()).toEqual([
+      MANIFEST_FILENAME,
+      "a.png",
+      "a_thresh.png",
+      "debug",
+    ]);
+  });
+
+  it("should reject when the watched directory is deleted", async () => {
+    const watching = watchFolder(dir);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const rejected = expect(watching).rejects.toThrow("ENOENT");
+    await fs.rm(dir, { recursive: true });
+
+    await rejected;
+  });
+});